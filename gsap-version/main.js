@@ -8,6 +8,10 @@ import * as THREE from 'three';
 // Import performance monitoring
 import { performanceMonitor, animationTester } from '../src/utils/performance.js';
 import { performanceUI } from '../src/utils/performance-ui.js';
+import { initBenchmarkBridge } from '../src/utils/benchmark-bridge.js';
+import { initBenchmarkHistory } from '../src/utils/benchmark-history.js';
+import { StressField, getStressMotion } from '../src/utils/stress-field.js';
+import { scrollForLine } from '../src/utils/trigger-accuracy.js';
 
 // Register GSAP plugins
 gsap.registerPlugin(ScrollTrigger);
@@ -15,13 +19,17 @@ gsap.registerPlugin(ScrollTrigger);
 // Application state
 let scene, camera, renderer, animationId;
 let cube, spheres = [];
-let pathTimeline, heroTimeline;
+let pathTimeline, heroTimeline, heroContext;
 let cubeRotationTimeline, spheresRotationTimeline;
 let rotationSpeed = 1;
 let animationScale = 1;
-let lastTime = 0;
-let frameCount = 0;
-let fps = 60;
+let lastRenderTime = 0;
+const renderListeners = new Set();
+const triggerListeners = new Set();
+
+// Orbital motion runs on gsap.ticker outside any tween, so it is tracked for destroyHeroAnimations()
+const orbitalTimeouts = new Set();
+const orbitalTickers = new Set();
 
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -42,33 +50,109 @@ function initPerformanceMonitoring() {
     window.animationTester = animationTester;
     
     // Show performance panel
-    performanceUI.show();
+    performanceUI.show({ library: 'GSAP' });
+    
+    // Regression budgets; the ThreeJS test deliberately ramps to 128 spheres, so it gets looser frame limits
+    animationTester.setBudget({ minP95Fps: 50, maxP99FrameTime: 33, maxLongTasks: 5, maxHeapGrowthMB: 20 });
+    animationTester.setBudget({ minP95Fps: 30, maxP99FrameTime: 50 }, 'threeJSAnimations');
+    
+    // Accept head-to-head benchmark runs from analysis.html
+    initBenchmarkBridge({ library: 'GSAP', tester: animationTester, monitor: performanceMonitor });
+    
+    // Keep every completed run in IndexedDB for the history view
+    initBenchmarkHistory({ library: 'GSAP', tester: animationTester, monitor: performanceMonitor });
+    
+    // Let the leak check mount and destroy the hero animations
+    animationTester.registerLifecycleHook({
+        library: 'GSAP',
+        mount: mountHeroAnimations,
+        destroy: destroyHeroAnimations,
+        getCounters: () => ({ tickers: orbitalTickers.size })
+    });
+    
+    // Let the stress ramp add tweened particles until frames slow down
+    animationTester.registerStressHook(createStressHook());
+    
+    // Let the trigger accuracy scenario see when each ScrollTrigger fires
+    animationTester.registerTriggerHook(createTriggerHook());
     
     // Start monitoring automatically
     setTimeout(() => {
         performanceMonitor.startMonitoring();
     }, 1000);
     
-    // Update metrics display periodically
-    setInterval(() => {
-        const summary = performanceMonitor.getPerformanceSummary();
-        performanceUI.updateMetrics({
-            fps: summary.averageFPS || '--',
-            memory: summary.currentMemory ? `${summary.currentMemory.used}MB` : '--',
-            frameTime: summary.averageFrameTime ? `${summary.averageFrameTime}ms` : '--',
-            animationCount: summary.animationCount
-        });
-    }, 1000);
-    
     console.log('🚀 Performance monitoring initialized for GSAP demo');
 }
 
+/**
+ * Stress particles, each with its own repeating tween
+ */
+function createStressHook() {
+    const field = new StressField();
+    const tweens = [];
+    
+    return {
+        library: 'GSAP',
+        setElementCount: (count) => {
+            field.grow(count).forEach(element => {
+                const { x, y, rotation, duration } = getStressMotion(tweens.length);
+                tweens.push(gsap.to(element, {
+                    x,
+                    y,
+                    rotation,
+                    duration,
+                    repeat: -1,
+                    yoyo: true,
+                    ease: 'sine.inOut'
+                }));
+            });
+        },
+        reset: () => {
+            tweens.forEach(tween => tween.kill());
+            tweens.length = 0;
+            field.clear();
+        }
+    };
+}
+
+/**
+ * The ScrollTriggers checked by the trigger accuracy scenario and the scroll position each should fire at
+ */
+function createTriggerHook() {
+    const triggers = [
+        { id: 'stagger', label: ".stagger-section 'top 80%'", selector: '.stagger-section', line: 0.8 },
+        { id: 'path', label: ".path-section 'top 60%'", selector: '.path-section', line: 0.6 }
+    ];
+    
+    return {
+        library: 'GSAP',
+        getTriggers: () => triggers
+            .filter(trigger => document.querySelector(trigger.selector))
+            .map(({ id, label, selector, line }) => ({
+                id,
+                label,
+                intendedScroll: scrollForLine(document.querySelector(selector), line)
+            })),
+        onFire: (listener) => {
+            triggerListeners.add(listener);
+            return () => triggerListeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * Report a trigger firing to the trigger accuracy scenario
+ */
+function notifyTrigger(id) {
+    triggerListeners.forEach(listener => listener(id));
+}
+
 /**
  * Initialize all GSAP animations
  */
 function initGSAPAnimations() {
     // Hero section animations
-    initHeroAnimations();
+    mountHeroAnimations();
     
     // Stagger animations
     initStaggerAnimations();
@@ -83,6 +167,28 @@ function initGSAPAnimations() {
     initScrollAnimations();
 }
 
+/**
+ * Start the hero animations inside a GSAP context so they can be reverted as a group
+ */
+function mountHeroAnimations() {
+    heroContext = gsap.context(() => initHeroAnimations());
+}
+
+/**
+ * Kill every hero tween, timer and ticker and restore the elements' original styles
+ */
+function destroyHeroAnimations() {
+    orbitalTimeouts.forEach(id => clearTimeout(id));
+    orbitalTimeouts.clear();
+    orbitalTickers.forEach(ticker => gsap.ticker.remove(ticker));
+    orbitalTickers.clear();
+    
+    if (heroContext) {
+        heroContext.revert();
+        heroContext = null;
+    }
+}
+
 /**
  * Hero section entrance animations
  */
@@ -228,7 +334,8 @@ function initOrbitalAnimations() {
             let animationStartTime = null;
             
             // Start orbital motion after entrance animation
-            setTimeout(() => {
+            const timeoutId = setTimeout(() => {
+                orbitalTimeouts.delete(timeoutId);
                 animationStartTime = Date.now();
                 
                 const ticker = gsap.ticker.add(() => {
@@ -246,8 +353,9 @@ function initOrbitalAnimations() {
                 });
                 
                 // Store ticker reference for cleanup
-                element._orbitalTicker = ticker;
+                orbitalTickers.add(ticker);
             }, (2 + elementIndex * 0.2) * 1000);
+            orbitalTimeouts.add(timeoutId);
         });
     });
 }
@@ -386,7 +494,8 @@ function initStaggerAnimations() {
             trigger: '.stagger-section',
             start: 'top 80%',
             end: 'bottom 20%',
-            toggleActions: 'play none none reverse'
+            toggleActions: 'play none none reverse',
+            onEnter: () => notifyTrigger('stagger')
         }
     });
     
@@ -440,7 +549,8 @@ function initPathAnimations() {
                 trigger: '.path-section',
                 start: 'top 60%',
                 end: 'bottom 40%',
-                toggleActions: 'play none none reverse'
+                toggleActions: 'play none none reverse',
+                onEnter: () => notifyTrigger('path')
             }
         });
         
@@ -463,6 +573,18 @@ function initPathAnimations() {
                 duration: 0.8,
                 ease: 'power2.out'
             }, '-=0.5');
+        
+        // Let the interaction test put the path back after clicking its buttons
+        animationTester.registerPathHook({
+            getState: () => ({
+                progress: pathTimeline.progress(),
+                reversed: pathTimeline.reversed(),
+                paused: pathTimeline.paused()
+            }),
+            setState: ({ progress, reversed, paused }) => {
+                pathTimeline.pause().reversed(reversed).progress(progress).paused(paused);
+            }
+        });
     }
 }
 
@@ -560,21 +682,7 @@ function initThreeJS() {
     
     // Create floating spheres
     for (let i = 0; i < 8; i++) {
-        const sphereGeometry = new THREE.SphereGeometry(0.2, 32, 32);
-        const sphereMaterial = new THREE.MeshPhongMaterial({ 
-            color: new THREE.Color().setHSL(i / 8, 0.7, 0.6),
-            shininess: 100
-        });
-        const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        
-        // Position spheres in a circle
-        const angle = (i / 8) * Math.PI * 2;
-        sphere.position.set(
-            Math.cos(angle) * 4,
-            Math.sin(angle) * 2,
-            Math.sin(angle * 2) * 2
-        );
-        
+        const sphere = createSphere(i);
         spheres.push(sphere);
         scene.add(sphere);
     }
@@ -594,14 +702,89 @@ function initThreeJS() {
     // Initialize GSAP 3D animations
     init3DAnimations();
     
-    // Initialize performance monitoring
-    lastTime = Date.now();
+    // Canvas overlay shows the monitor's FPS; the panel has its own subscription
+    const fpsElement = document.getElementById('threejsFps');
+    if (fpsElement) {
+        performanceMonitor.on('fps', ({ fps }) => {
+            fpsElement.textContent = fps;
+        });
+    }
     
     // Start render loop
     animate();
     
     // Handle resize
     window.addEventListener('resize', onWindowResize);
+    
+    // Let the performance tester drive this scene
+    animationTester.registerThreeJSHook(createThreeJSHook());
+}
+
+/**
+ * Create a floating sphere, positioned in rings of 8 around the cube
+ */
+function createSphere(index) {
+    const sphereGeometry = new THREE.SphereGeometry(0.2, 32, 32);
+    const sphereMaterial = new THREE.MeshPhongMaterial({ 
+        color: new THREE.Color().setHSL((index % 8) / 8, 0.7, 0.6),
+        shininess: 100
+    });
+    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+    
+    // Position spheres in a circle, further rings step back in depth
+    const ring = Math.floor(index / 8);
+    const angle = ((index % 8) / 8) * Math.PI * 2 + ring * 0.4;
+    sphere.position.set(
+        Math.cos(angle) * 4,
+        Math.sin(angle) * 2,
+        Math.sin(angle * 2) * 2 - ring * 0.5
+    );
+    
+    return sphere;
+}
+
+/**
+ * Add or remove spheres and rebuild their rotation timeline
+ */
+function setSphereCount(count) {
+    while (spheres.length < count) {
+        const sphere = createSphere(spheres.length);
+        spheres.push(sphere);
+        scene.add(sphere);
+    }
+    
+    while (spheres.length > count) {
+        const sphere = spheres.pop();
+        gsap.killTweensOf([sphere.rotation, sphere.material.color]);
+        scene.remove(sphere);
+        sphere.geometry.dispose();
+        sphere.material.dispose();
+    }
+    
+    if (spheresRotationTimeline) {
+        spheresRotationTimeline.kill();
+    }
+    initSpheresRotationTimeline();
+}
+
+/**
+ * Expose the scene to the performance tester without making it global
+ */
+function createThreeJSHook() {
+    return {
+        library: 'GSAP',
+        renderer,
+        getState: () => ({ rotationSpeed, animationScale, sphereCount: spheres.length, colors: getColors() }),
+        setRotationSpeed,
+        setAnimationScale,
+        changeColor,
+        setColors,
+        setSphereCount,
+        onRender: (listener) => {
+            renderListeners.add(listener);
+            return () => renderListeners.delete(listener);
+        }
+    };
 }
 
 /**
@@ -618,6 +801,13 @@ function init3DAnimations() {
     });
     
     // Create spheres rotation timeline
+    initSpheresRotationTimeline();
+}
+
+/**
+ * Create the spheres rotation timeline at the current rotation speed
+ */
+function initSpheresRotationTimeline() {
     spheresRotationTimeline = gsap.timeline({ repeat: -1, ease: 'none' });
     spheres.forEach((sphere, index) => {
         spheresRotationTimeline.to(sphere.rotation, {
@@ -627,6 +817,7 @@ function init3DAnimations() {
             ease: 'none'
         }, 0); // Start all animations at the same time
     });
+    spheresRotationTimeline.timeScale(rotationSpeed);
 }
 
 /**
@@ -635,24 +826,16 @@ function init3DAnimations() {
 function animate() {
     animationId = requestAnimationFrame(animate);
     
-    // Calculate FPS
-    const currentTime = Date.now();
-    frameCount++;
-    
-    if (currentTime - lastTime >= 1000) {
-        fps = frameCount;
-        frameCount = 0;
-        lastTime = currentTime;
-        
-        // Update FPS display
-        const fpsElement = document.getElementById('fps');
-        if (fpsElement) {
-            fpsElement.textContent = fps;
-        }
-    }
-    
     // GSAP handles all 3D animations via timelines
+    const renderStart = performance.now();
     renderer.render(scene, camera);
+    const renderEnd = performance.now();
+    
+    if (renderListeners.size > 0 && lastRenderTime) {
+        const frame = { frameTime: renderStart - lastRenderTime, renderTime: renderEnd - renderStart };
+        renderListeners.forEach(listener => listener(frame));
+    }
+    lastRenderTime = renderStart;
 }
 
 /**
@@ -707,70 +890,126 @@ function initControls() {
     
     if (rotationSlider) {
         rotationSlider.addEventListener('input', (e) => {
-            const newSpeed = parseFloat(e.target.value);
-            rotationSpeed = newSpeed;
-            
-            // Use GSAP timeScale() to control animation speed - this is the GSAP way!
-            if (cubeRotationTimeline) {
-                cubeRotationTimeline.timeScale(newSpeed);
-            }
-            if (spheresRotationTimeline) {
-                spheresRotationTimeline.timeScale(newSpeed);
-            }
+            setRotationSpeed(parseFloat(e.target.value));
         });
     }
     
     if (scaleSlider) {
         scaleSlider.addEventListener('input', (e) => {
-            const newScale = parseFloat(e.target.value);
-            animationScale = newScale;
-            
-            if (cube) {
-                // Kill existing scale animation and create new one
-                gsap.killTweensOf(cube.scale);
-                gsap.to(cube.scale, {
-                    x: 1.3 * newScale,
-                    y: 1.3 * newScale,
-                    z: 1.3 * newScale,
-                    duration: 0.5,
-                    ease: 'power2.out'
-                });
-            }
+            setAnimationScale(parseFloat(e.target.value));
         });
     }
     
     if (changeColorBtn) {
-        changeColorBtn.addEventListener('click', () => {
-            // Generate random colors
-            const cubeColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-            
-            // Animate cube color change with GSAP
-            if (cube) {
-                gsap.to(cube.material.color, {
-                    r: cubeColor.r,
-                    g: cubeColor.g,
-                    b: cubeColor.b,
-                    duration: 0.4,
-                    ease: 'power2.out'
-                });
-            }
-            
-            // Animate spheres color change with stagger
-            spheres.forEach((sphere, index) => {
-                const sphereColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-                gsap.to(sphere.material.color, {
-                    r: sphereColor.r,
-                    g: sphereColor.g,
-                    b: sphereColor.b,
-                    duration: 0.3,
-                    ease: 'power2.out',
-                    delay: index * 0.05
-                });
-            });
+        changeColorBtn.addEventListener('click', changeColor);
+    }
+}
+
+/**
+ * Set 3D rotation speed
+ */
+function setRotationSpeed(newSpeed) {
+    rotationSpeed = newSpeed;
+    syncSlider('rotationSpeed', newSpeed);
+    
+    // Use GSAP timeScale() to control animation speed - this is the GSAP way!
+    if (cubeRotationTimeline) {
+        cubeRotationTimeline.timeScale(newSpeed);
+    }
+    if (spheresRotationTimeline) {
+        spheresRotationTimeline.timeScale(newSpeed);
+    }
+}
+
+/**
+ * Set 3D cube scale
+ */
+function setAnimationScale(newScale) {
+    animationScale = newScale;
+    syncSlider('animationScale', newScale);
+    
+    if (cube) {
+        // Kill existing scale animation and create new one
+        gsap.killTweensOf(cube.scale);
+        gsap.to(cube.scale, {
+            x: 1.3 * newScale,
+            y: 1.3 * newScale,
+            z: 1.3 * newScale,
+            duration: 0.5,
+            ease: 'power2.out'
         });
     }
 }
 
+/**
+ * Show a value set from script on its slider
+ */
+function syncSlider(id, value) {
+    const slider = document.getElementById(id);
+    if (slider) {
+        slider.value = value;
+    }
+}
+
+/**
+ * Animate cube and spheres to random colors
+ */
+function changeColor() {
+    // Generate random colors
+    const cubeColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
+    
+    // Animate cube color change with GSAP
+    if (cube) {
+        gsap.to(cube.material.color, {
+            r: cubeColor.r,
+            g: cubeColor.g,
+            b: cubeColor.b,
+            duration: 0.4,
+            ease: 'power2.out'
+        });
+    }
+    
+    // Animate spheres color change with stagger
+    spheres.forEach((sphere, index) => {
+        const sphereColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
+        gsap.to(sphere.material.color, {
+            r: sphereColor.r,
+            g: sphereColor.g,
+            b: sphereColor.b,
+            duration: 0.3,
+            ease: 'power2.out',
+            delay: index * 0.05
+        });
+    });
+}
+
+/**
+ * Current cube and sphere colors as hex numbers
+ */
+function getColors() {
+    return {
+        cube: cube ? cube.material.color.getHex() : null,
+        spheres: spheres.map(sphere => sphere.material.color.getHex())
+    };
+}
+
+/**
+ * Set cube and sphere colors at once, killing any color tween in progress
+ */
+function setColors(colors) {
+    if (cube && colors.cube !== null) {
+        gsap.killTweensOf(cube.material.color);
+        cube.material.color.setHex(colors.cube);
+    }
+    
+    spheres.forEach((sphere, index) => {
+        if (index < colors.spheres.length) {
+            gsap.killTweensOf(sphere.material.color);
+            sphere.material.color.setHex(colors.spheres[index]);
+        }
+    });
+}
+
 /**
  * Performance monitoring removed for cleaner layout
  */
@@ -798,11 +1037,7 @@ function cleanup() {
     }
     
     // Cleanup orbital tickers
-    document.querySelectorAll('.orbital-element').forEach(element => {
-        if (element._orbitalTicker) {
-            gsap.ticker.remove(element._orbitalTicker);
-        }
-    });
+    destroyHeroAnimations();
     
     ScrollTrigger.getAll().forEach(trigger => trigger.kill());
     gsap.killTweensOf('*');
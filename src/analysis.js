@@ -0,0 +1,215 @@
+import { ComparisonRunner } from './utils/comparison-runner.js';
+import { performanceUI } from './utils/performance-ui.js';
+import { loadBenchmarkData, saveMeasuredBenchmark } from './utils/benchmark-data.js';
+import { MEMORY_SOURCES } from './utils/memory-probe.js';
+import { LOAD_PROFILES } from './utils/load-injector.js';
+
+// Benchmark cards and head-to-head benchmark for the analysis page
+document.addEventListener('DOMContentLoaded', async function() {
+    initHeadToHead();
+    renderBenchmarkCards(await loadBenchmarkData());
+});
+
+/**
+ * Render the benchmark cards from measured or baseline data
+ */
+function renderBenchmarkCards(data) {
+    renderBundleCard(document.getElementById('bundleSizeCard'), data.bundle);
+    renderAnimationCard(document.getElementById('animationPerformanceCard'), data.animation);
+}
+
+/**
+ * Describe where a set of numbers came from
+ */
+function renderSource(source) {
+    const labels = { measured: 'Measured', build: 'Build', baseline: 'Baseline' };
+    return `<p class="benchmark-source">${labels[source.type]}: ${source.device} · ${source.browser} · ${source.date}</p>`;
+}
+
+/**
+ * Bar width as a percentage of the larger of two values
+ */
+function relativeWidth(value, other) {
+    const max = Math.max(value, other);
+    return max > 0 ? Math.max(5, Math.round((value / max) * 100)) : 0;
+}
+
+/**
+ * Render the bundle size card
+ */
+function renderBundleCard(card, bundle) {
+    if (!card) return;
+
+    card.querySelector('.benchmark-body').innerHTML = `
+        <div class="benchmark-chart">
+            <div class="chart-container">
+                <div class="size-bar gsap" style="width: ${relativeWidth(bundle.gsap.size, bundle.vanilla.size)}%">
+                    <span class="size-label">GSAP</span>
+                    <span class="size-value">${bundle.gsap.size} kB</span>
+                    <span class="size-detail">${bundle.gsap.gzip} kB gzip${bundle.gsap.brotli ? ` · ${bundle.gsap.brotli} kB br` : ''}</span>
+                </div>
+                <div class="size-bar vanilla" style="width: ${relativeWidth(bundle.vanilla.size, bundle.gsap.size)}%">
+                    <span class="size-label">Vanilla</span>
+                    <span class="size-value">${bundle.vanilla.size} kB</span>
+                    <span class="size-detail">${bundle.vanilla.gzip} kB gzip${bundle.vanilla.brotli ? ` · ${bundle.vanilla.brotli} kB br` : ''}</span>
+                </div>
+            </div>
+        </div>
+        <div class="benchmark-details">
+            <p>${bundle.description}</p>
+            ${renderSource(bundle.source)}
+        </div>
+    `;
+}
+
+/**
+ * Render the animation performance card
+ */
+function renderAnimationCard(card, animation) {
+    if (!card) return;
+
+    const body = card.querySelector('.benchmark-body');
+
+    if (!animation) {
+        body.innerHTML = `
+            <p class="benchmark-empty">
+                No measured run yet. Use <a href="#head-to-head">Run Comparison</a> to measure both
+                implementations on this device.
+            </p>
+        `;
+        return;
+    }
+
+    const { gsap, vanilla } = animation;
+    const rows = [
+        {
+            name: `FPS (${gsap.refreshRate}Hz target)`,
+            gsap: Math.min(100, Math.round((gsap.averageFPS / gsap.refreshRate) * 100)),
+            vanilla: Math.min(100, Math.round((vanilla.averageFPS / vanilla.refreshRate) * 100)),
+            gsapLabel: `${gsap.averageFPS} fps`,
+            vanillaLabel: `${vanilla.averageFPS} fps`
+        },
+        {
+            name: 'Frame Time (p95)',
+            gsap: relativeWidth(gsap.p95FrameTime, vanilla.p95FrameTime),
+            vanilla: relativeWidth(vanilla.p95FrameTime, gsap.p95FrameTime),
+            gsapLabel: `${gsap.p95FrameTime}ms`,
+            vanillaLabel: `${vanilla.p95FrameTime}ms`
+        }
+    ];
+
+    // Byte counts from different memory sources are not comparable
+    const memorySource = gsap.memorySource || 'performance.memory';
+    if (gsap.memory !== null && vanilla.memory !== null && memorySource === (vanilla.memorySource || 'performance.memory')) {
+        rows.push({
+            name: MEMORY_SOURCES[memorySource],
+            gsap: relativeWidth(gsap.memory, vanilla.memory),
+            vanilla: relativeWidth(vanilla.memory, gsap.memory),
+            gsapLabel: `${gsap.memory}MB`,
+            vanillaLabel: `${vanilla.memory}MB`
+        });
+    }
+
+    // Older stored results predate the CPU estimate
+    if (Number.isFinite(gsap.cpuBusy) && Number.isFinite(vanilla.cpuBusy)) {
+        rows.push({
+            name: 'CPU busy (est.)',
+            gsap: gsap.cpuBusy,
+            vanilla: vanilla.cpuBusy,
+            gsapLabel: `${gsap.cpuBusy}%`,
+            vanillaLabel: `${vanilla.cpuBusy}%`
+        });
+    }
+
+    body.innerHTML = `
+        <div class="benchmark-metrics">
+            ${rows.map(row => `
+                <div class="metric-row">
+                    <span class="metric-name">${row.name}</span>
+                    <div class="metric-bars">
+                        <div class="metric-bar gsap" style="width: ${row.gsap}%" title="GSAP">${row.gsapLabel}</div>
+                        <div class="metric-bar vanilla" style="width: ${row.vanilla}%" title="Vanilla">${row.vanillaLabel}</div>
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        <div class="benchmark-details">
+            <p>${animation.iterations} measured iterations of ${animation.scenarios.length} scenarios per library.</p>
+            ${Number.isFinite(gsap.cpuBusy) ? '<p>CPU busy is estimated from main-thread idle time, long tasks and frame overruns.</p>' : ''}
+            ${renderSource(animation.source)}
+        </div>
+    `;
+}
+
+/**
+ * Wire up the head-to-head GSAP vs Vanilla benchmark
+ */
+function initHeadToHead() {
+    const section = document.getElementById('head-to-head');
+    if (!section) return;
+
+    const runBtn = document.getElementById('runHeadToHead');
+    const status = document.getElementById('headToHeadStatus');
+    const stage = document.getElementById('headToHeadStage');
+    const results = document.getElementById('headToHeadResults');
+    const loadSelect = document.getElementById('headToHeadLoad');
+
+    Object.entries(LOAD_PROFILES).forEach(([id, profile]) => {
+        loadSelect.add(new Option(profile.label, id));
+    });
+
+    const runner = new ComparisonRunner(stage, {
+        onStatus: message => {
+            status.textContent = message;
+        }
+    });
+
+    runBtn.addEventListener('click', async () => {
+        const ids = Array.from(section.querySelectorAll('.head-to-head-scenarios input:checked'))
+            .map(input => input.value);
+
+        if (ids.length === 0) {
+            status.textContent = 'Select at least one scenario';
+            return;
+        }
+
+        const warmup = Math.max(0, parseInt(document.getElementById('headToHeadWarmup').value, 10) || 0);
+        const iterations = Math.max(2, parseInt(document.getElementById('headToHeadIterations').value, 10) || 2);
+        const load = loadSelect.value || null;
+
+        runBtn.disabled = true;
+        results.innerHTML = '';
+        stage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+        try {
+            const result = await runner.run({ ids, warmup, iterations, load });
+
+            // Capacity curves only exist when the stress ramp was part of the run
+            const capacity = {
+                gsap: result.gsap.series.scenarios.stressRamp?.capacity,
+                vanilla: result.vanilla.series.scenarios.stressRamp?.capacity
+            };
+            results.appendChild(performanceUI.createComparisonChart(result.gsap.summary, result.vanilla.summary, capacity));
+            results.insertAdjacentHTML('beforeend', `
+                <div class="comparison-significance">
+                    ${performanceUI.getComparisonHTML(result.comparison, ['GSAP', 'Vanilla'])}
+                </div>
+            `);
+
+            // The benchmark cards describe this device as it is, so loaded runs are not stored
+            if (!load) {
+                saveMeasuredBenchmark(result);
+            }
+            renderBenchmarkCards(await loadBenchmarkData());
+
+            status.textContent = `Done: ${warmup} warmup + ${iterations} measured iterations per library` +
+                (load ? ` under ${LOAD_PROFILES[load].label}` : '');
+            console.log('🏁 Head-to-head benchmark completed', result);
+        } catch (error) {
+            console.error('Head-to-head benchmark failed:', error);
+            status.textContent = `Benchmark failed: ${error.message}`;
+        } finally {
+            runBtn.disabled = false;
+        }
+    });
+}
@@ -0,0 +1,71 @@
+/**
+ * Benchmark Bridge
+ * Lets a parent page drive a demo's scenarios through postMessage
+ *
+ * Messages (same origin only):
+ *   demo -> parent  { type: 'benchmark:ready', library }
+ *   parent -> demo  { type: 'benchmark:run', options: { ids, warmup, iterations, load } }
+ *   demo -> parent  { type: 'benchmark:result', library, series, summary }
+ *   demo -> parent  { type: 'benchmark:error', library, message }
+ */
+export const BENCHMARK_MESSAGES = {
+  ready: 'benchmark:ready',
+  run: 'benchmark:run',
+  result: 'benchmark:result',
+  error: 'benchmark:error'
+};
+
+/**
+ * Answer benchmark requests when the demo is embedded by a same-origin page
+ */
+export function initBenchmarkBridge({ library, tester, monitor }) {
+  if (window.parent === window) return;
+
+  const post = (message) => {
+    window.parent.postMessage({ library, ...message }, window.location.origin);
+  };
+
+  window.addEventListener('message', async (event) => {
+    if (event.origin !== window.location.origin || event.source !== window.parent) return;
+    if (!event.data || event.data.type !== BENCHMARK_MESSAGES.run) return;
+
+    const { ids, warmup = 1, iterations = 5, load = null } = event.data.options || {};
+    const previousLoad = tester.load;
+
+    try {
+      tester.setLoad(load);
+
+      // Warmup first, then reset so the summary covers measured runs only
+      await tester.runIterations({ ids, warmup, iterations: 0 });
+      monitor.reset();
+
+      const series = await tester.runIterations({ ids, warmup: 0, iterations });
+
+      // Raw runs hold DOM-derived details; the aggregated statistics are all the parent needs
+      post({
+        type: BENCHMARK_MESSAGES.result,
+        series: {
+          warmup: warmup,
+          iterations: series.iterations,
+          timestamp: series.timestamp,
+          scenarios: series.scenarios
+        },
+        summary: monitor.getPerformanceSummary()
+      });
+    } catch (error) {
+      console.error('❌ Benchmark run failed:', error);
+      post({ type: BENCHMARK_MESSAGES.error, message: error.message });
+    } finally {
+      tester.setLoad(previousLoad);
+    }
+  });
+
+  // Report ready once the page and its assets have finished loading
+  if (document.readyState === 'complete') {
+    post({ type: BENCHMARK_MESSAGES.ready });
+  } else {
+    window.addEventListener('load', () => post({ type: BENCHMARK_MESSAGES.ready }), { once: true });
+  }
+
+  console.log(`🔗 Benchmark bridge ready for ${library} demo`);
+}
@@ -0,0 +1,137 @@
+import baseline from '../data/benchmark-baseline.json';
+
+// localStorage key for the latest measured head-to-head result
+export const BENCHMARK_STORAGE_KEY = 'gsap-vs-vanilla:benchmark';
+
+// Emitted next to the pages by vite-plugins/bundle-size-report.js
+const BUNDLE_REPORT_URL = './bundle-size.json';
+
+/**
+ * Describe the device and browser a measurement was taken on
+ */
+export function getEnvironment() {
+  const userAgentData = navigator.userAgentData;
+  const brand = userAgentData && userAgentData.brands
+    .find(entry => !/not.?a.?brand|chromium/i.test(entry.brand));
+
+  const cores = navigator.hardwareConcurrency ? `${navigator.hardwareConcurrency} cores` : null;
+  const memory = navigator.deviceMemory ? `${navigator.deviceMemory} GB` : null;
+  const platform = (userAgentData && userAgentData.platform) || navigator.platform || 'Unknown device';
+
+  return {
+    device: [platform, cores, memory].filter(Boolean).join(', '),
+    browser: brand ? `${brand.brand} ${brand.version}` : detectBrowser(navigator.userAgent),
+    date: new Date().toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Fallback browser detection from the user agent string
+ */
+function detectBrowser(userAgent) {
+  const patterns = [
+    ['Edge', /Edg\/([\d]+)/],
+    ['Firefox', /Firefox\/([\d]+)/],
+    ['Chrome', /Chrome\/([\d]+)/],
+    ['Safari', /Version\/([\d.]+).*Safari/]
+  ];
+
+  const match = patterns
+    .map(([name, pattern]) => [name, userAgent.match(pattern)])
+    .find(([, result]) => result);
+
+  return match ? `${match[0]} ${match[1][1]}` : 'Unknown browser';
+}
+
+/**
+ * Reduce a performance summary to the figures shown on the analysis cards
+ */
+function pickAnimationMetrics(summary) {
+  return {
+    averageFPS: summary.averageFPS,
+    refreshRate: summary.refreshRate || 60,
+    p95FrameTime: summary.frameTimePercentiles.p95,
+    memory: summary.currentMemory ? summary.currentMemory.used : null,
+    memorySource: summary.currentMemory ? summary.currentMemory.source || 'performance.memory' : null,
+    cpuBusy: summary.cpuUsage ? summary.cpuUsage.average : null
+  };
+}
+
+/**
+ * Persist a head-to-head result so the analysis cards can show it
+ */
+export function saveMeasuredBenchmark(result) {
+  const animation = {
+    source: { type: 'measured', ...getEnvironment() },
+    iterations: result.options.iterations,
+    scenarios: result.options.ids,
+    gsap: pickAnimationMetrics(result.gsap.summary),
+    vanilla: pickAnimationMetrics(result.vanilla.summary)
+  };
+
+  try {
+    localStorage.setItem(BENCHMARK_STORAGE_KEY, JSON.stringify(animation));
+  } catch (error) {
+    console.warn('Could not store benchmark result:', error);
+  }
+
+  return animation;
+}
+
+/**
+ * Turn a bundle size report into bundle card data
+ * type is 'build' for this build's report and 'baseline' for the copy kept in benchmark-baseline.json
+ */
+function bundleFromReport(report, type = 'build') {
+  const { gsap, vanilla } = report.entries;
+  const toKB = bytes => Math.round(bytes / 10) / 100;
+  const gsapShare = gsap.libraries.gsap.share + gsap.libraries['gsap/ScrollTrigger'].share;
+
+  return {
+    source: {
+      type: type,
+      device: 'Vite production build (terser)',
+      browser: 'n/a',
+      date: report.generatedAt.slice(0, 10)
+    },
+    description: `Everything each demo page loads, including the shared Three.js and performance tools chunk. ` +
+      `GSAP and ScrollTrigger make up ${Math.round(gsapShare * 100)}% of the GSAP page.`,
+    gsap: { size: toKB(gsap.total.raw), gzip: toKB(gsap.total.gzip), brotli: toKB(gsap.total.brotli) },
+    vanilla: { size: toKB(vanilla.total.raw), gzip: toKB(vanilla.total.gzip), brotli: toKB(vanilla.total.brotli) }
+  };
+}
+
+/**
+ * Fetch the bundle size report emitted by the build; null in dev or when missing
+ */
+async function loadBundleReport() {
+  try {
+    const response = await fetch(BUNDLE_REPORT_URL);
+    if (!response.ok) return null;
+
+    const report = await response.json();
+    return report.entries && report.entries.gsap && report.entries.vanilla ? report : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load benchmark data: measured results where available, otherwise the bundled baseline
+ */
+export async function loadBenchmarkData() {
+  let measured = null;
+
+  try {
+    measured = JSON.parse(localStorage.getItem(BENCHMARK_STORAGE_KEY));
+  } catch (error) {
+    console.warn('Ignoring unreadable benchmark result:', error);
+  }
+
+  const report = await loadBundleReport();
+
+  return {
+    bundle: report ? bundleFromReport(report) : bundleFromReport(baseline.bundleReport, 'baseline'),
+    animation: measured || baseline.animation
+  };
+}
@@ -0,0 +1,207 @@
+const DB_NAME = 'animation-showdown';
+const DB_VERSION = 1;
+const STORE_NAME = 'runs';
+
+// Oldest unpinned runs are pruned beyond this count
+const MAX_UNPINNED_RUNS = 100;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Benchmark History
+ * Persists completed runs in IndexedDB, keyed by page, library, scenario and timestamp
+ */
+export class BenchmarkHistory {
+  constructor() {
+    this.dbPromise = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Whether IndexedDB is available in this browser
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  open() {
+    if (!this.dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, {
+          keyPath: ['page', 'library', 'scenario', 'timestamp']
+        });
+        store.createIndex('timestamp', 'timestamp');
+      };
+
+      this.dbPromise = promisify(request);
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback against the runs store and resolve when the transaction completes
+   */
+  async transaction(mode, callback) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE_NAME, mode);
+    const result = callback(transaction.objectStore(STORE_NAME));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    return result instanceof IDBRequest ? result.result : result;
+  }
+
+  /**
+   * Store a completed run
+   */
+  async save(record) {
+    await this.transaction('readwrite', store => store.put(record));
+    await this.prune();
+    this.notify();
+
+    return record;
+  }
+
+  /**
+   * All runs, pinned first, then newest first
+   */
+  async list() {
+    const runs = await this.transaction('readonly', store => store.getAll());
+
+    return runs.sort((a, b) => (b.pinned - a.pinned) || (b.timestamp - a.timestamp));
+  }
+
+  /**
+   * Get a single run by key
+   */
+  get(key) {
+    return this.transaction('readonly', store => store.get(key));
+  }
+
+  /**
+   * Delete a run by key
+   */
+  async delete(key) {
+    await this.transaction('readwrite', store => store.delete(key));
+    this.notify();
+  }
+
+  /**
+   * Pin or unpin a run; pinned runs are never pruned
+   */
+  async setPinned(key, pinned) {
+    const record = await this.get(key);
+    if (!record) return;
+
+    record.pinned = pinned ? 1 : 0;
+    await this.transaction('readwrite', store => store.put(record));
+    this.notify();
+  }
+
+  /**
+   * Drop the oldest unpinned runs beyond MAX_UNPINNED_RUNS
+   */
+  async prune() {
+    const unpinned = (await this.list()).filter(run => !run.pinned);
+    const excess = unpinned.slice(MAX_UNPINNED_RUNS);
+
+    if (excess.length > 0) {
+      await this.transaction('readwrite', store => excess.forEach(run => store.delete(getRunKey(run))));
+    }
+  }
+
+  /**
+   * Subscribe to changes; returns an unsubscribe function
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners that runs were added, removed or pinned
+   */
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+/**
+ * Primary key of a stored run
+ */
+export function getRunKey(run) {
+  return [run.page, run.library, run.scenario, run.timestamp];
+}
+
+/**
+ * Build a history record from an imported performance report
+ */
+export function createRecordFromReport(report) {
+  return {
+    page: report.page || 'imported',
+    library: report.library || 'Imported',
+    scenario: [...new Set(report.tests.map(test => test.id))].join('+'),
+    timestamp: Date.parse(report.generatedAt),
+    kind: 'imported',
+    warmup: 0,
+    iterations: report.tests.length,
+    pinned: 0,
+    data: report.data,
+    tests: report.tests,
+    scenarios: report.scenarios
+  };
+}
+
+/**
+ * Persist every run the tester completes on this page
+ */
+export function initBenchmarkHistory({ library, tester, monitor, history = benchmarkHistory }) {
+  if (!BenchmarkHistory.isSupported()) return () => {};
+
+  return tester.onRunComplete(async (run) => {
+    const scenarioIds = [...new Set(run.tests.map(test => test.id))];
+
+    const record = {
+      page: window.location.pathname,
+      library: library,
+      scenario: scenarioIds.join('+'),
+      timestamp: Date.now(),
+      kind: run.kind,
+      warmup: run.warmup || 0,
+      iterations: run.iterations || 1,
+      load: run.load || null,
+      pinned: 0,
+      data: monitor.exportData(),
+      tests: run.tests,
+      scenarios: run.scenarios
+    };
+
+    try {
+      await history.save(record);
+      console.log(`🗄️ Saved ${run.kind} run to history`);
+    } catch (error) {
+      console.warn('Could not save run to history:', error);
+    }
+  });
+}
+
+// Global benchmark history instance
+export const benchmarkHistory = new BenchmarkHistory();
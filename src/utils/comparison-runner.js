@@ -0,0 +1,133 @@
+import { BENCHMARK_MESSAGES } from './benchmark-bridge.js';
+import { compareSeries } from './performance-stats.js';
+
+const DEMOS = [
+  { key: 'gsap', library: 'GSAP', url: './gsap-version/index.html' },
+  { key: 'vanilla', library: 'Vanilla', url: './vanilla-version/index.html' }
+];
+
+const READY_TIMEOUT = 30000;
+// Every built-in scenario in one iteration, stress ramp included, with room for slow devices
+const RUN_TIMEOUT_PER_ITERATION = 120000;
+
+/**
+ * Comparison Runner
+ * Loads each demo in turn in a same-origin iframe and runs the same scenarios in both
+ */
+export class ComparisonRunner {
+  constructor(stage, { onStatus = () => {} } = {}) {
+    this.stage = stage;
+    this.onStatus = onStatus;
+    this.frame = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Run the selected scenarios in the GSAP demo, then the Vanilla demo
+   * Differences in the returned comparison are GSAP - Vanilla
+   */
+  async run({ ids, warmup = 1, iterations = 5, load = null } = {}) {
+    if (this.isRunning) {
+      throw new Error('A comparison is already running');
+    }
+
+    this.isRunning = true;
+    const results = {};
+
+    try {
+      for (const demo of DEMOS) {
+        results[demo.key] = await this.runDemo(demo, { ids, warmup, iterations, load });
+      }
+    } finally {
+      this.removeFrame();
+      this.isRunning = false;
+    }
+
+    return {
+      timestamp: Date.now(),
+      options: { ids, warmup, iterations, load },
+      gsap: results.gsap,
+      vanilla: results.vanilla,
+      comparison: compareSeries(results.gsap.series, results.vanilla.series)
+    };
+  }
+
+  /**
+   * Load one demo and wait for its benchmark result
+   */
+  async runDemo(demo, options) {
+    this.onStatus(`Loading ${demo.library} demo…`);
+    const frame = this.createFrame(demo.url);
+
+    await this.waitForMessage(frame, BENCHMARK_MESSAGES.ready, READY_TIMEOUT);
+
+    this.onStatus(`Running ${options.warmup} warmup + ${options.iterations} measured iterations in ${demo.library}…`);
+    frame.contentWindow.postMessage({ type: BENCHMARK_MESSAGES.run, options }, window.location.origin);
+
+    const timeout = RUN_TIMEOUT_PER_ITERATION * (options.warmup + options.iterations);
+    const result = await this.waitForMessage(frame, BENCHMARK_MESSAGES.result, timeout);
+
+    this.onStatus(`${demo.library} finished`);
+    return result;
+  }
+
+  /**
+   * Replace the stage iframe with a fresh one pointing at url
+   */
+  createFrame(url) {
+    this.removeFrame();
+
+    // Kept visible at a fixed size: hidden frames get throttled animation frames
+    this.frame = document.createElement('iframe');
+    this.frame.className = 'comparison-frame';
+    this.frame.width = 1280;
+    this.frame.height = 720;
+    this.frame.title = 'Benchmark demo';
+    this.frame.src = url;
+
+    this.stage.appendChild(this.frame);
+    return this.frame;
+  }
+
+  /**
+   * Remove the stage iframe
+   */
+  removeFrame() {
+    if (this.frame) {
+      this.frame.remove();
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Resolve with the first message of a given type from frame, or reject on error/timeout
+   */
+  waitForMessage(frame, type, timeout) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        window.removeEventListener('message', handleMessage);
+      };
+
+      const handleMessage = (event) => {
+        if (event.origin !== window.location.origin || event.source !== frame.contentWindow) return;
+        if (!event.data) return;
+
+        if (event.data.type === BENCHMARK_MESSAGES.error) {
+          cleanup();
+          reject(new Error(`${event.data.library}: ${event.data.message}`));
+        } else if (event.data.type === type) {
+          cleanup();
+          resolve(event.data);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeout);
+
+      window.addEventListener('message', handleMessage);
+    });
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Load Injector
+ * Synthetic main-thread load so tests can run as if on a slower device
+ *
+ * A load spins the main thread for `busy` ms every `every` ms. With every: 'frame' the busy
+ * loop runs once per animation frame instead, stretching each frame the way a slower CPU would.
+ * A long busy time with a long interval gives periodic jank, which shows how each engine recovers
+ */
+
+export const LOAD_PROFILES = {
+  slow: { label: 'Slow device (+8ms per frame)', busy: 8, every: 'frame' },
+  verySlow: { label: 'Very slow device (+14ms per frame)', busy: 14, every: 'frame' },
+  busy: { label: 'Busy main thread (25ms every 50ms)', busy: 25, every: 50 },
+  jank: { label: 'Jank (250ms block every 2s)', busy: 250, every: 2000 },
+  heavyJank: { label: 'Heavy jank (1s block every 5s)', busy: 1000, every: 5000 }
+};
+
+// Consecutive on-budget frames after a block before the page counts as recovered
+const RECOVERY_FRAMES = 3;
+
+/**
+ * Resolve a profile name or { busy, every } into a load, or null for no load
+ * Throws on unknown profiles and invalid timings
+ */
+export function normalizeLoad(load) {
+  if (load === null || load === undefined || load === '' || load === 'none') return null;
+
+  if (typeof load === 'string') {
+    if (!LOAD_PROFILES[load]) {
+      throw new Error(`Unknown load profile "${load}"; expected one of ${Object.keys(LOAD_PROFILES).join(', ')}`);
+    }
+    return { profile: load, ...LOAD_PROFILES[load] };
+  }
+
+  const { busy, every } = load;
+  if (typeof busy !== 'number' || !Number.isFinite(busy) || busy <= 0) {
+    throw new Error('Load "busy" must be a positive number of milliseconds');
+  }
+  if (every !== 'frame' && (typeof every !== 'number' || !Number.isFinite(every) || every <= busy)) {
+    throw new Error('Load "every" must be \'frame\' or a number of milliseconds larger than "busy"');
+  }
+
+  return {
+    profile: load.profile || null,
+    label: load.label || (every === 'frame' ? `Busy ${busy}ms per frame` : `Busy ${busy}ms every ${every}ms`),
+    busy: busy,
+    every: every
+  };
+}
+
+/**
+ * Time from the end of each block until frames are back on budget for RECOVERY_FRAMES in a row
+ * frames are { start, duration } entries from the monitor timeline; blocks that never recovered
+ * before the next block (or the end of the frames) are counted as unrecovered
+ */
+export function measureRecovery(blocks, frames, frameBudget) {
+  const recoveries = [];
+  let unrecovered = 0;
+
+  blocks.forEach((block, index) => {
+    const nextBlock = blocks[index + 1];
+    const after = frames.filter(frame => frame.start >= block.end &&
+      (!nextBlock || frame.start + frame.duration <= nextBlock.start));
+    let run = 0;
+
+    for (let i = 0; i < after.length; i++) {
+      run = after[i].duration <= frameBudget ? run + 1 : 0;
+
+      if (run === RECOVERY_FRAMES) {
+        recoveries.push(Math.round(after[i - RECOVERY_FRAMES + 1].start - block.end));
+        return;
+      }
+    }
+
+    unrecovered++;
+  });
+
+  return {
+    count: recoveries.length,
+    unrecovered: unrecovered,
+    mean: recoveries.length > 0 ? Math.round(recoveries.reduce((sum, value) => sum + value, 0) / recoveries.length) : null,
+    worst: recoveries.length > 0 ? Math.max(...recoveries) : null
+  };
+}
+
+/**
+ * Runs one load at a time and records every busy block it injected
+ */
+export class LoadInjector {
+  constructor() {
+    this.load = null;
+    this.blocks = [];
+    this.timerId = null;
+    this.frameId = null;
+  }
+
+  /**
+   * Start injecting a load (profile name or { busy, every }); replaces any running load
+   */
+  start(load) {
+    this.stop();
+    this.load = normalizeLoad(load);
+    this.blocks = [];
+
+    if (!this.load) return;
+
+    console.log(`🐌 Injecting load: ${this.load.label}`);
+
+    if (this.load.every === 'frame') {
+      const onFrame = () => {
+        this.block(this.load.busy);
+        this.frameId = requestAnimationFrame(onFrame);
+      };
+      this.frameId = requestAnimationFrame(onFrame);
+    } else {
+      // Scheduled against the start time so the blocks themselves do not make the period drift
+      const startTime = performance.now();
+      let count = 0;
+      const schedule = () => {
+        count++;
+        this.timerId = setTimeout(() => {
+          this.block(this.load.busy);
+          schedule();
+        }, Math.max(0, startTime + count * this.load.every - performance.now()));
+      };
+      schedule();
+    }
+  }
+
+  /**
+   * Spin the main thread for ms milliseconds
+   */
+  block(ms) {
+    const start = performance.now();
+    while (performance.now() - start < ms) {
+      // Busy wait: nothing else may run on the main thread meanwhile
+    }
+    this.blocks.push({ start, end: performance.now() });
+  }
+
+  /**
+   * Stop injecting and report what was injected, or null when no load was running
+   */
+  stop() {
+    if (this.timerId !== null) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+
+    if (!this.load) return null;
+
+    const report = {
+      ...this.load,
+      blocks: this.blocks.length,
+      injectedTime: Math.round(this.blocks.reduce((sum, block) => sum + block.end - block.start, 0))
+    };
+    this.load = null;
+
+    return report;
+  }
+}
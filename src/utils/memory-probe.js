@@ -0,0 +1,312 @@
+/**
+ * Memory Probe
+ * Layered memory measurement so results say which source they came from
+ *
+ * Sources, best first:
+ *   'measureUserAgentSpecificMemory' - whole-page bytes, cross-origin isolated pages only
+ *   'performance.memory'             - JS heap of this realm, Chromium only
+ *   'proxies'                        - no byte count; DOM nodes, timers, listeners and Three.js objects only
+ */
+
+export const MEMORY_SOURCES = {
+  measureUserAgentSpecificMemory: 'Page memory (measureUserAgentSpecificMemory)',
+  'performance.memory': 'JS heap (performance.memory)',
+  proxies: 'Proxies only (DOM nodes, timers, listeners, Three.js objects)'
+};
+
+const activeTimers = new Set();
+const activeIntervals = new Set();
+let restoreTimers = null;
+
+// Listeners per event target, keyed by type and capture like the browser does; each maps to the
+// function actually registered, which differs from the page's listener for once listeners
+let listenerRegistry = new WeakMap();
+const pendingOnceListeners = new Set();
+let activeListeners = 0;
+let restoreListeners = null;
+
+/**
+ * Wrap the global timer functions to count timers that are scheduled and not yet fired or cleared
+ * Timers created before this runs are not counted. Returns a function that puts the originals back
+ */
+export function trackTimers(target = globalThis) {
+  if (restoreTimers) return restoreTimers;
+  if (typeof target.setTimeout !== 'function') return () => {};
+
+  const originals = {
+    setTimeout: target.setTimeout,
+    clearTimeout: target.clearTimeout,
+    setInterval: target.setInterval,
+    clearInterval: target.clearInterval
+  };
+
+  const wrappers = {
+    setTimeout: (callback, ...args) => {
+      if (typeof callback !== 'function') return originals.setTimeout.call(target, callback, ...args);
+
+      const id = originals.setTimeout.call(target, (...callbackArgs) => {
+        activeTimers.delete(id);
+        return callback(...callbackArgs);
+      }, ...args);
+      activeTimers.add(id);
+      return id;
+    },
+    clearTimeout: (id) => {
+      activeTimers.delete(id);
+      return originals.clearTimeout.call(target, id);
+    },
+    setInterval: (...args) => {
+      const id = originals.setInterval.apply(target, args);
+      activeIntervals.add(id);
+      return id;
+    },
+    clearInterval: (id) => {
+      activeIntervals.delete(id);
+      return originals.clearInterval.call(target, id);
+    }
+  };
+
+  Object.assign(target, wrappers);
+
+  restoreTimers = () => {
+    Object.entries(wrappers).forEach(([name, wrapper]) => {
+      // Another script may have wrapped ours meanwhile; replacing its function would drop its wrapper
+      if (target[name] === wrapper) target[name] = originals[name];
+    });
+    activeTimers.clear();
+    activeIntervals.clear();
+    restoreTimers = null;
+  };
+
+  return restoreTimers;
+}
+
+/**
+ * Wrap addEventListener/removeEventListener to count listeners that are still attached
+ * once and signal listeners are forgotten when the browser drops them. Returns a function that
+ * puts the originals back and re-registers unfired once listeners exactly as the page added them
+ */
+export function trackListeners(prototype = typeof EventTarget !== 'undefined' ? EventTarget.prototype : null) {
+  if (restoreListeners) return restoreListeners;
+  if (!prototype) return () => {};
+
+  const { addEventListener, removeEventListener } = prototype;
+  const getKey = (type, options) => {
+    const capture = typeof options === 'boolean' ? options : Boolean(options && options.capture);
+    return `${type}:${capture}`;
+  };
+  const getRegistered = (target, key) => {
+    const listeners = listenerRegistry.get(target);
+    return listeners && listeners.has(key) ? listeners.get(key) : null;
+  };
+  const forget = (target, key, listener) => {
+    const registered = getRegistered(target, key);
+    if (registered && registered.delete(listener)) {
+      activeListeners--;
+    }
+  };
+
+  const add = function(type, listener, options) {
+    const target = this || globalThis;
+    const signal = options && typeof options === 'object' ? options.signal : null;
+
+    if (!listener || (signal && signal.aborted)) {
+      addEventListener.call(target, type, listener, options);
+      return;
+    }
+
+    if (!listenerRegistry.has(target)) {
+      listenerRegistry.set(target, new Map());
+    }
+    const listeners = listenerRegistry.get(target);
+    const key = getKey(type, options);
+    if (!listeners.has(key)) {
+      listeners.set(key, new Map());
+    }
+
+    // The browser ignores duplicate registrations
+    if (listeners.get(key).has(listener)) return;
+
+    let callback = listener;
+    if (options && options.once) {
+      // Registered in place of the page's listener, so no second listener is needed to see it fire
+      const entry = { target, type, key, listener, options };
+      callback = function(event) {
+        pendingOnceListeners.delete(entry);
+        forget(target, key, listener);
+        return typeof listener === 'function' ? listener.call(this, event) : listener.handleEvent(event);
+      };
+      entry.callback = callback;
+      pendingOnceListeners.add(entry);
+    }
+
+    addEventListener.call(target, type, callback, options);
+    listeners.get(key).set(listener, callback);
+    activeListeners++;
+
+    if (signal) {
+      addEventListener.call(signal, 'abort', () => forget(target, key, listener), { once: true });
+    }
+  };
+
+  const remove = function(type, listener, options) {
+    const target = this || globalThis;
+    const key = getKey(type, options);
+    const registered = getRegistered(target, key);
+
+    removeEventListener.call(target, type, registered && registered.has(listener) ? registered.get(listener) : listener, options);
+    forget(target, key, listener);
+  };
+
+  prototype.addEventListener = add;
+  prototype.removeEventListener = remove;
+
+  restoreListeners = () => {
+    if (prototype.addEventListener === add) prototype.addEventListener = addEventListener;
+    if (prototype.removeEventListener === remove) prototype.removeEventListener = removeEventListener;
+
+    // The page removes these with its own function, which only works once it is the one registered
+    pendingOnceListeners.forEach(({ target, type, key, listener, options, callback }) => {
+      const registered = getRegistered(target, key);
+      if (registered && registered.get(listener) === callback) {
+        removeEventListener.call(target, type, callback, options);
+        addEventListener.call(target, type, listener, options);
+      }
+    });
+
+    pendingOnceListeners.clear();
+    listenerRegistry = new WeakMap();
+    activeListeners = 0;
+    restoreListeners = null;
+  };
+
+  return restoreListeners;
+}
+
+/**
+ * Memory Probe
+ * Measures with the best available source and always adds the proxy counts
+ */
+export class MemoryProbe {
+  constructor() {
+    this.renderer = null;
+    this.pendingMeasurement = null;
+    this.lastPageMeasurement = null;
+    this.untrack = [];
+  }
+
+  /**
+   * Count timers and listeners until stopTracking()
+   * The wrappers add cost to every timer and listener call on the page, so only the leak check turns them on
+   */
+  startTracking() {
+    if (this.untrack.length === 0) {
+      this.untrack = [trackTimers(), trackListeners()];
+    }
+  }
+
+  /**
+   * Put the original timer and listener functions back; the proxies report null for them again
+   */
+  stopTracking() {
+    this.untrack.forEach(untrack => untrack());
+    this.untrack = [];
+  }
+
+  /**
+   * Three.js renderer whose info.memory is reported as a proxy
+   */
+  setRenderer(renderer) {
+    this.renderer = renderer || null;
+  }
+
+  /**
+   * Best byte-level source this page can use
+   */
+  getSource() {
+    if (typeof crossOriginIsolated !== 'undefined' && crossOriginIsolated &&
+      typeof performance.measureUserAgentSpecificMemory === 'function') {
+      return 'measureUserAgentSpecificMemory';
+    }
+    if (performance.memory) return 'performance.memory';
+    return 'proxies';
+  }
+
+  /**
+   * Counts that track memory growth in every browser
+   */
+  getProxies() {
+    const rendererMemory = this.renderer && this.renderer.info ? this.renderer.info.memory : null;
+
+    return {
+      domNodes: typeof document !== 'undefined' && document.getElementsByTagName
+        ? document.getElementsByTagName('*').length
+        : null,
+      timers: restoreTimers ? activeTimers.size : null,
+      intervals: restoreTimers ? activeIntervals.size : null,
+      listeners: restoreListeners ? activeListeners : null,
+      three: rendererMemory
+        ? { geometries: rendererMemory.geometries, textures: rendererMemory.textures }
+        : null
+    };
+  }
+
+  /**
+   * Take a measurement; used, total and limit are MB, or null when the source has no such value
+   */
+  async measure() {
+    const toMB = bytes => Math.round(bytes / 1024 / 1024);
+    let source = 'proxies';
+    let heap = { used: null, total: null, limit: null };
+
+    if (this.getSource() === 'measureUserAgentSpecificMemory') {
+      const bytes = await this.measurePage();
+      if (bytes !== null) {
+        source = 'measureUserAgentSpecificMemory';
+        heap = { used: toMB(bytes), total: null, limit: null };
+      }
+    }
+
+    if (source === 'proxies' && performance.memory) {
+      source = 'performance.memory';
+      heap = {
+        used: toMB(performance.memory.usedJSHeapSize),
+        total: toMB(performance.memory.totalJSHeapSize),
+        limit: toMB(performance.memory.jsHeapSizeLimit)
+      };
+    }
+
+    return {
+      ...heap,
+      source: source,
+      proxies: this.getProxies(),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Page memory in bytes from measureUserAgentSpecificMemory, or null if it failed
+   * The browser resolves it at its next garbage collection, which can take several seconds,
+   * so one measurement is kept in flight and the latest result is reused meanwhile
+   */
+  async measurePage() {
+    if (!this.pendingMeasurement) {
+      this.pendingMeasurement = performance.measureUserAgentSpecificMemory()
+        .then(result => {
+          this.lastPageMeasurement = result.bytes;
+        })
+        .catch(error => {
+          console.warn('measureUserAgentSpecificMemory failed:', error);
+        })
+        .finally(() => {
+          this.pendingMeasurement = null;
+        });
+    }
+
+    if (this.lastPageMeasurement === null) {
+      await this.pendingMeasurement;
+    }
+
+    return this.lastPageMeasurement;
+  }
+}
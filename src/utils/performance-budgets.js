@@ -0,0 +1,116 @@
+/**
+ * Performance Budgets
+ * Pass/fail limits for a test's metric window, set per page and per scenario
+ */
+
+// Supported budget keys; read() returns null when the metric is unavailable
+export const BUDGET_RULES = {
+  minAverageFps: {
+    label: 'Average FPS',
+    unit: 'fps',
+    type: 'min',
+    read: metrics => metrics.frameCount > 0 ? metrics.averageFPS : null
+  },
+  minP95Fps: {
+    label: 'p95 FPS',
+    unit: 'fps',
+    type: 'min',
+    // FPS the page holds for 95% of frames, i.e. the rate of the p95 frame time
+    read: metrics => metrics.frameTimePercentiles.p95 > 0
+      ? Math.round(1000 / metrics.frameTimePercentiles.p95 * 10) / 10
+      : null
+  },
+  maxP99FrameTime: {
+    label: 'p99 frame time',
+    unit: 'ms',
+    type: 'max',
+    read: metrics => metrics.frameCount > 0 ? metrics.frameTimePercentiles.p99 : null
+  },
+  maxDroppedFrames: {
+    label: 'Dropped frames',
+    unit: '',
+    type: 'max',
+    read: metrics => metrics.droppedFrames
+  },
+  maxLongTasks: {
+    label: 'Long tasks',
+    unit: '',
+    type: 'max',
+    read: metrics => metrics.longTasks.supported ? metrics.longTasks.count : null
+  },
+  maxHeapGrowthMB: {
+    label: 'Heap growth',
+    unit: 'MB',
+    type: 'max',
+    read: metrics => metrics.memoryDelta
+  }
+};
+
+/**
+ * Throw on budget keys that are not in BUDGET_RULES or limits that are not numbers
+ */
+export function validateBudget(budget) {
+  Object.entries(budget).forEach(([key, limit]) => {
+    if (!BUDGET_RULES[key]) {
+      throw new Error(`Unknown budget "${key}"; expected one of ${Object.keys(BUDGET_RULES).join(', ')}`);
+    }
+    if (typeof limit !== 'number' || !Number.isFinite(limit)) {
+      throw new Error(`Budget "${key}" must be a finite number`);
+    }
+  });
+
+  return budget;
+}
+
+/**
+ * Check a metric window against a budget
+ * Violations report the limit, the measured value and how far past the limit it was
+ */
+export function evaluateBudget(budget, metrics) {
+  const violations = [];
+  const unavailable = [];
+  let checked = 0;
+
+  Object.entries(budget).forEach(([key, limit]) => {
+    const rule = BUDGET_RULES[key];
+    const actual = rule.read(metrics);
+
+    if (actual === null || actual === undefined) {
+      unavailable.push(key);
+      return;
+    }
+
+    checked++;
+    const overBy = rule.type === 'min' ? limit - actual : actual - limit;
+
+    if (overBy > 0) {
+      violations.push({
+        budget: key,
+        label: rule.label,
+        unit: rule.unit,
+        type: rule.type,
+        limit: limit,
+        actual: actual,
+        overBy: Math.round(overBy * 10) / 10
+      });
+    }
+  });
+
+  return {
+    passed: violations.length === 0,
+    checked: checked,
+    violations: violations,
+    unavailable: unavailable
+  };
+}
+
+/**
+ * One-line description of a violation, e.g. "p95 FPS 42fps < 50fps (8fps short)"
+ */
+export function describeViolation(violation) {
+  const { label, unit, type, limit, actual, overBy } = violation;
+
+  return type === 'min'
+    ? `${label} ${actual}${unit} < ${limit}${unit} (${overBy}${unit} short)`
+    : `${label} ${actual}${unit} > ${limit}${unit} (${overBy}${unit} over)`;
+}
@@ -0,0 +1,223 @@
+/**
+ * Performance Graphs
+ * Rolling canvas graphs of frame time, FPS and memory for the performance panel
+ *
+ * Graphs redraw once per monitor 'sample' (once a second) and only while the panel is
+ * expanded, scrolled into view and the tab is visible, so drawing stays out of the measurements
+ */
+
+// Time span shown by every graph
+const GRAPH_WINDOW = 20000;
+const GRAPH_HEIGHT = 56;
+
+// Frame budgets drawn as guide lines on the frame time graph (60fps and 30fps)
+const FRAME_TIME_GUIDES = [16.7, 33.3];
+
+const COLORS = {
+  line: '#60a5fa',
+  guide: 'rgba(255, 255, 255, 0.25)',
+  longTask: 'rgba(239, 68, 68, 0.35)',
+  testStart: '#10b981',
+  testEnd: '#9ca3af',
+  text: '#9ca3af'
+};
+
+/**
+ * Rolling graphs fed from a PerformanceMonitor's timeline and events
+ */
+export class PerformanceGraphs {
+  constructor(container, monitor) {
+    this.container = container;
+    this.monitor = monitor;
+    this.markers = [];
+    this.unsubscribers = [];
+    this.observer = null;
+    this.isActive = false;
+    this.isOnScreen = true;
+
+    this.graphs = {
+      frameTime: this.createGraph('Frame time (ms)'),
+      fps: this.createGraph('FPS'),
+      memory: this.createGraph('Memory')
+    };
+  }
+
+  /**
+   * Add a labelled canvas to the container
+   */
+  createGraph(title) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'performance-graph';
+    wrapper.innerHTML = `<span class="performance-graph-label">${title}</span><canvas height="${GRAPH_HEIGHT}"></canvas>`;
+    this.container.appendChild(wrapper);
+
+    const canvas = wrapper.querySelector('canvas');
+    return { canvas, label: wrapper.querySelector('.performance-graph-label'), context: canvas.getContext('2d') };
+  }
+
+  /**
+   * Subscribe to monitor events and start watching the graphs' visibility
+   */
+  attach() {
+    this.unsubscribers.push(
+      this.monitor.on('sample', () => this.requestDraw()),
+      this.monitor.on('testStart', ({ test, time }) => this.addMarker('start', test, time)),
+      this.monitor.on('testComplete', result => this.addMarker('end', result.test, performance.now()))
+    );
+
+    if (typeof IntersectionObserver === 'function') {
+      this.observer = new IntersectionObserver(entries => {
+        this.isOnScreen = entries[entries.length - 1].isIntersecting;
+        this.requestDraw();
+      });
+      this.observer.observe(this.container);
+    }
+  }
+
+  /**
+   * Unsubscribe from the monitor and stop observing
+   */
+  detach() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+  }
+
+  /**
+   * Enable drawing while the panel is expanded; drawing pauses otherwise
+   */
+  setActive(active) {
+    this.isActive = active;
+    this.requestDraw();
+  }
+
+  /**
+   * Record a test start or end so every graph can mark it
+   */
+  addMarker(type, label, time) {
+    this.markers.push({ type, label, time });
+    this.markers = this.markers.filter(marker => marker.time >= time - GRAPH_WINDOW);
+  }
+
+  /**
+   * Draw if the graphs can actually be seen
+   */
+  requestDraw() {
+    if (!this.isActive || !this.isOnScreen || document.hidden) return;
+    this.draw();
+  }
+
+  /**
+   * Redraw all graphs for the last GRAPH_WINDOW milliseconds
+   */
+  draw() {
+    const end = performance.now();
+    const range = { start: end - GRAPH_WINDOW, end };
+    const { frames, fps } = this.monitor.timeline;
+    const longTasks = this.monitor.metrics.longTasks.filter(task => task.startTime + task.duration >= range.start);
+
+    const framePoints = frames
+      .filter(frame => frame.start >= range.start)
+      .map(frame => ({ time: frame.start + frame.duration, value: frame.duration }));
+    const maxFrameTime = Math.max(50, ...framePoints.map(point => Math.min(point.value, 100)));
+    this.drawGraph(this.graphs.frameTime, framePoints, range, { min: 0, max: maxFrameTime, guides: FRAME_TIME_GUIDES, markerLabels: true }, longTasks);
+
+    const fpsPoints = fps
+      .filter(sample => sample.time >= range.start)
+      .map(sample => ({ time: sample.time, value: sample.fps }));
+    const maxFPS = Math.max(this.monitor.metrics.refreshRate || 60, ...fpsPoints.map(point => point.value));
+    this.drawGraph(this.graphs.fps, fpsPoints, range, { min: 0, max: maxFPS, guides: [] }, longTasks);
+
+    // Memory samples carry wall-clock timestamps; bytes where available, otherwise DOM nodes
+    const memorySamples = this.monitor.metrics.memory
+      .map(sample => ({ ...sample, time: sample.timestamp - performance.timeOrigin }))
+      .filter(sample => sample.time >= range.start);
+    const hasBytes = memorySamples.some(sample => sample.used !== null);
+    const memoryPoints = memorySamples
+      .map(sample => ({ time: sample.time, value: hasBytes ? sample.used : sample.proxies.domNodes }))
+      .filter(point => point.value !== null);
+    const memoryValues = memoryPoints.map(point => point.value);
+    this.graphs.memory.label.textContent = hasBytes ? 'Memory (MB)' : 'Memory (DOM nodes)';
+    this.drawGraph(this.graphs.memory, memoryPoints, range, {
+      min: memoryValues.length > 0 ? Math.min(...memoryValues) * 0.9 : 0,
+      max: memoryValues.length > 0 ? Math.max(...memoryValues) * 1.1 : 1,
+      guides: []
+    }, longTasks);
+  }
+
+  /**
+   * Draw one graph: long task bands, guide lines, the series and test markers
+   */
+  drawGraph(graph, points, range, scale, longTasks) {
+    const { canvas, context } = graph;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth || 248;
+    const height = GRAPH_HEIGHT;
+
+    // Resize the backing store only when the layout changed
+    if (canvas.width !== Math.round(width * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    const x = time => ((time - range.start) / (range.end - range.start)) * width;
+    const y = value => {
+      const span = scale.max - scale.min || 1;
+      return height - ((Math.min(value, scale.max) - scale.min) / span) * (height - 2) - 1;
+    };
+
+    context.fillStyle = COLORS.longTask;
+    longTasks.forEach(task => {
+      const left = Math.max(0, x(task.startTime));
+      context.fillRect(left, 0, Math.max(1, x(task.startTime + task.duration) - left), height);
+    });
+
+    context.strokeStyle = COLORS.guide;
+    context.fillStyle = COLORS.text;
+    context.font = '9px sans-serif';
+    context.setLineDash([3, 3]);
+    scale.guides.forEach(guide => {
+      context.beginPath();
+      context.moveTo(0, y(guide));
+      context.lineTo(width, y(guide));
+      context.stroke();
+      context.fillText(`${guide}`, 2, y(guide) - 2);
+    });
+    context.setLineDash([]);
+
+    if (points.length > 0) {
+      context.strokeStyle = COLORS.line;
+      context.lineWidth = 1;
+      context.beginPath();
+      points.forEach((point, index) => {
+        if (index === 0) {
+          context.moveTo(x(point.time), y(point.value));
+        } else {
+          context.lineTo(x(point.time), y(point.value));
+        }
+      });
+      context.stroke();
+    }
+
+    this.markers
+      .filter(marker => marker.time >= range.start)
+      .forEach(marker => {
+        context.strokeStyle = marker.type === 'start' ? COLORS.testStart : COLORS.testEnd;
+        context.beginPath();
+        context.moveTo(x(marker.time), 0);
+        context.lineTo(x(marker.time), height);
+        context.stroke();
+
+        if (scale.markerLabels && marker.type === 'start') {
+          context.fillText(marker.label, x(marker.time) + 2, 9);
+        }
+      });
+  }
+}
@@ -0,0 +1,182 @@
+// Bump when the report layout changes in a way older readers cannot handle
+export const REPORT_SCHEMA_VERSION = 1;
+export const REPORT_TYPE = 'animation-showdown/performance-report';
+
+// Values an imported report may use for identifiers the panel renders and compares by
+const GRADES = ['A', 'B', 'C', 'D'];
+const TEST_ID_PATTERN = /^[A-Za-z][\w-]{0,63}$/;
+const LIBRARY_PATTERN = /^[A-Za-z][\w .+-]{0,39}$/;
+
+/**
+ * Build a versioned performance report from the monitor and tester state
+ */
+export function createReport({ library = null, monitor, tester }) {
+  const tests = tester.getTestResults();
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    type: REPORT_TYPE,
+    generatedAt: new Date().toISOString(),
+    page: window.location.pathname,
+    library: library,
+    data: monitor.exportData(),
+    tests: tests,
+    scenarios: tester.aggregateRuns([{ tests }])
+  };
+}
+
+/**
+ * Check a parsed report against the schema
+ * Returns a list of human-readable problems; empty when the report is valid
+ */
+export function validateReport(report) {
+  const errors = [];
+  const expect = (condition, message) => {
+    if (!condition) errors.push(message);
+    return condition;
+  };
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isNumberArray = value => Array.isArray(value) && value.every(item => typeof item === 'number');
+
+  if (!expect(isObject(report), 'Report must be a JSON object')) return errors;
+
+  if (!expect(typeof report.schemaVersion === 'number', 'schemaVersion is missing; this file is not a performance report')) {
+    return errors;
+  }
+  if (!expect(report.schemaVersion <= REPORT_SCHEMA_VERSION,
+    `schemaVersion ${report.schemaVersion} is newer than the supported version ${REPORT_SCHEMA_VERSION}`)) {
+    return errors;
+  }
+
+  expect(report.type === REPORT_TYPE, `type must be "${REPORT_TYPE}"`);
+  expect(typeof report.generatedAt === 'string' && !Number.isNaN(Date.parse(report.generatedAt)),
+    'generatedAt must be an ISO date string');
+  expect(report.library === null || (typeof report.library === 'string' && LIBRARY_PATTERN.test(report.library)),
+    'library must be null or a name of letters, digits, spaces and ._+- (at most 40 characters)');
+
+  if (expect(isObject(report.data), 'data must be an object')) {
+    const { summary, rawData } = report.data;
+
+    if (expect(isObject(summary), 'data.summary must be an object')) {
+      expect(typeof summary.averageFPS === 'number', 'data.summary.averageFPS must be a number');
+      expect(isObject(summary.performance) && GRADES.includes(summary.performance.grade),
+        `data.summary.performance.grade must be one of ${GRADES.join(', ')}`);
+    }
+
+    if (expect(isObject(rawData), 'data.rawData must be an object')) {
+      expect(isNumberArray(rawData.fps), 'data.rawData.fps must be an array of numbers');
+      expect(isNumberArray(rawData.frameTime), 'data.rawData.frameTime must be an array of numbers');
+      // Samples from before the memory probe have no source; used is null for proxy-only samples
+      expect(Array.isArray(rawData.memory) && rawData.memory.every(sample =>
+        isObject(sample) && (typeof sample.used === 'number' || sample.used === null) &&
+        typeof sample.timestamp === 'number'
+      ), 'data.rawData.memory must be an array of { used, total, limit, source, timestamp } samples');
+    }
+  }
+
+  if (expect(Array.isArray(report.tests), 'tests must be an array')) {
+    report.tests.forEach((test, index) => {
+      const path = `tests[${index}]`;
+
+      if (!expect(isObject(test), `${path} must be an object`)) return;
+      expect(typeof test.id === 'string' && TEST_ID_PATTERN.test(test.id),
+        `${path}.id must be a scenario id of letters, digits, _ and - starting with a letter`);
+      expect(typeof test.test === 'string', `${path}.test must be a string`);
+
+      if (expect(isObject(test.metrics), `${path}.metrics must be an object`)) {
+        expect(typeof test.metrics.averageFPS === 'number', `${path}.metrics.averageFPS must be a number`);
+        expect(isObject(test.metrics.frameTimePercentiles), `${path}.metrics.frameTimePercentiles must be an object`);
+        expect(isObject(test.metrics.longTasks), `${path}.metrics.longTasks must be an object`);
+        expect(isObject(test.metrics.performance) && GRADES.includes(test.metrics.performance.grade),
+          `${path}.metrics.performance.grade must be one of ${GRADES.join(', ')}`);
+      }
+    });
+  }
+
+  if (expect(isObject(report.scenarios), 'scenarios must be an object')) {
+    Object.entries(report.scenarios).forEach(([id, scenario]) => {
+      const path = `scenarios.${id}`;
+
+      expect(TEST_ID_PATTERN.test(id), `${path} must be keyed by a scenario id`);
+
+      if (!expect(isObject(scenario) && isObject(scenario.metrics), `${path}.metrics must be an object`)) return;
+      expect(isObject(scenario.metrics.averageFPS), `${path}.metrics.averageFPS is missing`);
+
+      Object.entries(scenario.metrics).forEach(([metric, stats]) => {
+        expect(isObject(stats) && isNumberArray(stats.values) && typeof stats.mean === 'number',
+          `${path}.metrics.${metric} must have numeric values and mean`);
+      });
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse and validate report JSON, throwing an Error that lists every problem
+ */
+export function parseReport(text) {
+  let report;
+
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Report is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateReport(report);
+  if (errors.length > 0) {
+    throw new Error(`Invalid performance report:\n- ${errors.join('\n- ')}`);
+  }
+
+  return report;
+}
+
+/**
+ * Serialize rows as CSV with a header line
+ */
+export function toCSV(columns, rows) {
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+/**
+ * CSV files for the raw fps, frameTime and memory series
+ */
+export function createSeriesCSVs(rawData) {
+  return {
+    fps: toCSV(['sample', 'fps'], rawData.fps.map((fps, index) => [index, fps])),
+    frameTime: toCSV(['sample', 'frameTimeMs'], rawData.frameTime.map((frameTime, index) => [index, frameTime])),
+    memory: toCSV(
+      ['timestamp', 'source', 'usedMB', 'totalMB', 'limitMB', 'domNodes', 'timers', 'intervals'],
+      rawData.memory.map(sample => {
+        const proxies = sample.proxies || {};
+        return [
+          new Date(sample.timestamp).toISOString(), sample.source || 'performance.memory',
+          sample.used, sample.total, sample.limit, proxies.domNodes, proxies.timers, proxies.intervals
+        ];
+      })
+    )
+  };
+}
+
+/**
+ * Offer some content to the user as a file download
+ */
+export function downloadFile(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,326 @@
+/**
+ * Performance Statistics Helpers
+ * Pure functions for summarising frame time and other metric series
+ */
+
+/**
+ * Get a percentile from an ascending sorted array (linear interpolation)
+ */
+export function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return 0;
+  if (sortedValues.length === 1) return sortedValues[0];
+
+  const rank = (p / 100) * (sortedValues.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const weight = rank - lower;
+
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * weight;
+}
+
+/**
+ * Get p50/p90/p95/p99 of a series, rounded to 0.1ms
+ */
+export function getPercentiles(values, points = [50, 90, 95, 99]) {
+  const sorted = [...values].sort((a, b) => a - b);
+
+  return points.reduce((result, p) => {
+    result[`p${p}`] = Math.round(percentile(sorted, p) * 10) / 10;
+    return result;
+  }, {});
+}
+
+/**
+ * Build a histogram of values with fixed-width buckets
+ * Values above maxValue are collected in a final overflow bucket
+ */
+export function buildHistogram(values, bucketSize = 4, maxValue = 100) {
+  const bucketCount = Math.ceil(maxValue / bucketSize);
+  const buckets = Array.from({ length: bucketCount + 1 }, (_, index) => ({
+    from: index * bucketSize,
+    to: index < bucketCount ? (index + 1) * bucketSize : Infinity,
+    count: 0
+  }));
+
+  values.forEach(value => {
+    const index = Math.min(Math.floor(value / bucketSize), bucketCount);
+    buckets[Math.max(index, 0)].count++;
+  });
+
+  return buckets;
+}
+
+/**
+ * Snap a measured frame interval to the nearest common display refresh rate
+ */
+export function detectRefreshRate(frameIntervals) {
+  const commonRates = [30, 48, 50, 60, 72, 75, 90, 100, 120, 144, 165, 240];
+
+  if (frameIntervals.length === 0) return 60;
+
+  // Median is robust against the occasional janky frame during detection
+  const sorted = [...frameIntervals].sort((a, b) => a - b);
+  const measuredRate = 1000 / percentile(sorted, 50);
+
+  return commonRates.reduce((closest, rate) =>
+    Math.abs(rate - measuredRate) < Math.abs(closest - measuredRate) ? rate : closest
+  );
+}
+
+/**
+ * Count frames dropped by a series of frame intervals at a given refresh rate
+ */
+export function countDroppedFrames(frameIntervals, refreshRate) {
+  const refreshInterval = 1000 / refreshRate;
+
+  return frameIntervals.reduce((dropped, interval) =>
+    dropped + Math.max(0, Math.round(interval / refreshInterval) - 1), 0
+  );
+}
+
+/**
+ * Arithmetic mean
+ */
+export function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1)
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * Log-gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+
+  coefficients.forEach(coefficient => {
+    series += coefficient / ++y;
+  });
+
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-30;
+
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+
+    let numerator = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    numerator = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + numerator * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + numerator / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges fastest on this side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(x, a, b)) / a;
+  }
+
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ */
+export function studentTCdf(t, degreesOfFreedom) {
+  const x = degreesOfFreedom / (degreesOfFreedom + t * t);
+  const tail = 0.5 * incompleteBeta(x, degreesOfFreedom / 2, 0.5);
+
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Quantile of Student's t distribution, found by bisection on the CDF
+ */
+export function studentTQuantile(p, degreesOfFreedom) {
+  let low = -1000;
+  let high = 1000;
+
+  for (let i = 0; i < 100; i++) {
+    const middle = (low + high) / 2;
+
+    if (studentTCdf(middle, degreesOfFreedom) < p) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Summarise repeated measurements of one metric
+ * Returns mean, standard deviation, 95% confidence interval and coefficient of variation
+ */
+export function summarizeSamples(values) {
+  const samples = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  const average = mean(samples);
+  const deviation = standardDeviation(samples);
+  const margin = samples.length > 1
+    ? studentTQuantile(0.975, samples.length - 1) * (deviation / Math.sqrt(samples.length))
+    : 0;
+
+  return {
+    samples: samples.length,
+    values: samples,
+    mean: average,
+    standardDeviation: deviation,
+    ci95: [average - margin, average + margin],
+    coefficientOfVariation: average !== 0 ? deviation / Math.abs(average) : 0
+  };
+}
+
+/**
+ * Welch's t-test for the difference between two independent samples
+ * significant is true when the two-sided p-value is below alpha
+ */
+export function welchTTest(samplesA, samplesB, alpha = 0.05) {
+  const countA = samplesA.length;
+  const countB = samplesB.length;
+  const difference = mean(samplesA) - mean(samplesB);
+
+  if (countA < 2 || countB < 2) {
+    return { difference, t: 0, degreesOfFreedom: 0, pValue: 1, ci95: [difference, difference], significant: false };
+  }
+
+  const varianceA = standardDeviation(samplesA) ** 2 / countA;
+  const varianceB = standardDeviation(samplesB) ** 2 / countB;
+  const standardError = Math.sqrt(varianceA + varianceB);
+
+  // Identical, noise-free samples: any difference is exact
+  if (standardError === 0) {
+    return {
+      difference,
+      t: 0,
+      degreesOfFreedom: countA + countB - 2,
+      pValue: difference === 0 ? 1 : 0,
+      ci95: [difference, difference],
+      significant: difference !== 0
+    };
+  }
+
+  // Welch–Satterthwaite approximation
+  const degreesOfFreedom = (varianceA + varianceB) ** 2 /
+    (varianceA ** 2 / (countA - 1) + varianceB ** 2 / (countB - 1));
+  const t = difference / standardError;
+  const pValue = 2 * (1 - studentTCdf(Math.abs(t), degreesOfFreedom));
+  const margin = studentTQuantile(1 - alpha / 2, degreesOfFreedom) * standardError;
+
+  return {
+    difference,
+    t,
+    degreesOfFreedom,
+    pValue,
+    ci95: [difference - margin, difference + margin],
+    significant: pValue < alpha
+  };
+}
+
+/**
+ * Compare two iteration series scenario by scenario and metric by metric
+ * Differences are seriesA - seriesB, labelled "significant" or "inconclusive"
+ */
+export function compareSeries(seriesA, seriesB) {
+  const comparison = {};
+
+  Object.entries(seriesA.scenarios).forEach(([id, scenarioA]) => {
+    const scenarioB = seriesB.scenarios[id];
+    if (!scenarioB) return;
+
+    comparison[id] = { name: scenarioA.name, metrics: {} };
+
+    Object.entries(scenarioA.metrics).forEach(([metric, statsA]) => {
+      const statsB = scenarioB.metrics[metric];
+      if (!statsB) return;
+
+      const test = welchTTest(statsA.values, statsB.values);
+
+      comparison[id].metrics[metric] = {
+        meanA: statsA.mean,
+        meanB: statsB.mean,
+        ...test,
+        label: test.significant ? 'significant' : 'inconclusive'
+      };
+    });
+  });
+
+  return comparison;
+}
+
+/**
+ * Least-squares slope of a series against its index, i.e. the average change per step
+ * Non-numeric values are skipped; returns null with fewer than two points
+ */
+export function linearSlope(values) {
+  const points = values
+    .map((value, index) => ({ x: index, y: value }))
+    .filter(point => typeof point.y === 'number' && Number.isFinite(point.y));
+  if (points.length < 2) return null;
+
+  const meanX = mean(points.map(point => point.x));
+  const meanY = mean(points.map(point => point.y));
+  const covariance = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+  const varianceX = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+
+  return covariance / varianceX;
+}
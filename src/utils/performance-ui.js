@@ -1,3 +1,12 @@
+import { benchmarkHistory, getRunKey, createRecordFromReport } from './benchmark-history.js';
+import { compareSeries } from './performance-stats.js';
+import { createReport, parseReport, createSeriesCSVs, downloadFile } from './performance-report.js';
+import { createTrace } from './trace-export.js';
+import { describeViolation } from './performance-budgets.js';
+import { MEMORY_SOURCES } from './memory-probe.js';
+import { PerformanceGraphs } from './performance-graphs.js';
+import { LOAD_PROFILES } from './load-injector.js';
+
 /**
  * Performance UI Components
  * Provides UI elements for displaying performance metrics and test results
@@ -7,6 +16,17 @@ export class PerformanceUI {
     this.isVisible = false;
     this.isCollapsed = false;
     this.panel = null;
+    this.library = null;
+    this.deselectedScenarios = new Set();
+    this.unsubscribeScenarios = null;
+    this.unsubscribeMonitor = null;
+    this.previousSeries = null;
+    this.historyRuns = [];
+    this.selectedHistoryRuns = new Set();
+    this.unsubscribeHistory = null;
+    this.graphs = null;
+    this.abortController = null;
+    this.unsubscribeProgress = null;
   }
 
   /**
@@ -33,20 +53,72 @@ export class PerformanceUI {
             <span class="metric-value" id="memory">--</span>
           </div>
           <div class="metric-item">
-            <span class="metric-label">Frame Time:</span>
+            <span class="metric-label">Frame Time (p95):</span>
             <span class="metric-value" id="frameTime">--</span>
           </div>
+          <div class="metric-item">
+            <span class="metric-label">Long tasks:</span>
+            <span class="metric-value" id="longTasks">--</span>
+          </div>
+          <div class="metric-item" title="Estimated main-thread busy share over the last second">
+            <span class="metric-label">CPU (est.):</span>
+            <span class="metric-value" id="cpuUsage">--</span>
+          </div>
+          <div class="metric-item" title="98th percentile interaction latency (INP-style)">
+            <span class="metric-label">Interaction (p98):</span>
+            <span class="metric-value" id="interactionLatency">--</span>
+          </div>
           <div class="metric-item">
             <span class="metric-label">Animations:</span>
             <span class="metric-value" id="animationCount">0</span>
           </div>
         </div>
+        <div class="performance-graphs" id="performanceGraphs"></div>
         <div class="performance-controls">
           <button class="control-btn" id="startMonitoring">Start</button>
           <button class="control-btn" id="stopMonitoring">Stop</button>
           <button class="control-btn" id="resetMetrics">Reset</button>
           <button class="control-btn" id="runTests">Run Tests</button>
         </div>
+        <div class="performance-series">
+          <label class="series-input">Warmup <input type="number" id="seriesWarmup" min="0" max="10" value="1"></label>
+          <label class="series-input">Runs <input type="number" id="seriesIterations" min="2" max="50" value="5"></label>
+          <button class="control-btn" id="runSeries">Run Series</button>
+        </div>
+        <div class="performance-progress" id="performanceProgress" hidden>
+          <div class="progress-header">
+            <span class="progress-label" id="progressLabel">Starting…</span>
+            <button class="control-btn" id="cancelTests">Cancel</button>
+          </div>
+          <div class="progress-track" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+            <div class="progress-fill" id="progressFill"></div>
+          </div>
+        </div>
+        <div class="performance-load">
+          <label class="series-input" title="Synthetic main-thread load applied while tests run">
+            Load
+            <select id="loadProfile">
+              <option value="">None</option>
+              ${Object.entries(LOAD_PROFILES).map(([id, profile]) => `<option value="${id}">${profile.label}</option>`).join('')}
+            </select>
+          </label>
+        </div>
+        <div class="performance-export">
+          <button class="control-btn" id="exportJSON">Export JSON</button>
+          <button class="control-btn" id="exportCSV">Export CSV</button>
+          <button class="control-btn" id="exportTrace">Export Trace</button>
+          <button class="control-btn" id="importReport">Import</button>
+          <input type="file" id="importReportFile" accept="application/json,.json" hidden>
+        </div>
+        <div class="performance-scenarios" id="performanceScenarios"></div>
+        <div class="performance-history">
+          <div class="history-header">
+            <h4>History</h4>
+            <button class="control-btn" id="compareHistory" disabled>Compare</button>
+            <button class="control-btn" id="toggleHistory">Show</button>
+          </div>
+          <div class="history-list" id="historyList" hidden></div>
+        </div>
         <div class="performance-results" id="performanceResults"></div>
       </div>
     `;
@@ -232,6 +304,244 @@ export class PerformanceUI {
         background: #5855eb;
       }
 
+      .performance-series {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 16px;
+      }
+
+      .series-input {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+        color: #9ca3af;
+      }
+
+      .performance-load {
+        margin-bottom: 16px;
+      }
+
+      .performance-progress {
+        margin-bottom: 16px;
+      }
+
+      .progress-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        margin-bottom: 6px;
+      }
+
+      .progress-label {
+        color: #9ca3af;
+        font-size: 11px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .progress-track {
+        height: 6px;
+        background: rgba(255, 255, 255, 0.1);
+        border-radius: 3px;
+        overflow: hidden;
+      }
+
+      .progress-fill {
+        width: 0;
+        height: 100%;
+        background: #6366f1;
+        transition: width 0.3s ease;
+      }
+
+      .series-input select {
+        flex: 1;
+        background: rgba(255, 255, 255, 0.05);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 4px;
+        color: #f3f4f6;
+        padding: 4px;
+        font-size: 12px;
+      }
+
+      .series-input input {
+        width: 40px;
+        background: rgba(255, 255, 255, 0.05);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 4px;
+        color: #f3f4f6;
+        padding: 4px;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 12px;
+      }
+
+      .performance-series .control-btn {
+        margin-left: auto;
+      }
+
+      .performance-graphs {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        margin-bottom: 12px;
+      }
+
+      .performance-graph-label {
+        display: block;
+        color: #9ca3af;
+        font-size: 10px;
+        margin-bottom: 2px;
+      }
+
+      .performance-graph canvas {
+        display: block;
+        width: 100%;
+        height: 56px;
+        background: rgba(255, 255, 255, 0.03);
+        border-radius: 4px;
+      }
+
+      .budget-result {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-top: 6px;
+      }
+
+      .budget-result .test-status {
+        text-transform: none;
+      }
+
+      .budget-note {
+        color: #6b7280;
+        font-size: 10px;
+      }
+
+      .performance-export {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+        margin-bottom: 16px;
+      }
+
+      .import-errors {
+        white-space: pre-line;
+        text-transform: none;
+        font-weight: 500;
+      }
+
+      .comparison-row {
+        display: grid;
+        grid-template-columns: 1fr auto auto;
+        gap: 8px;
+        align-items: center;
+        font-size: 12px;
+        padding: 2px 0;
+      }
+
+      .performance-scenarios {
+        border-top: 1px solid rgba(255, 255, 255, 0.1);
+        padding: 12px 0;
+      }
+
+      .performance-scenarios h4 {
+        margin: 0 0 8px 0;
+        font-size: 14px;
+        font-weight: 600;
+        color: #f3f4f6;
+      }
+
+      .scenario-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 2px 0;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .scenario-item input {
+        accent-color: #6366f1;
+      }
+
+      .scenario-tags {
+        margin-left: auto;
+        color: #6b7280;
+        font-size: 10px;
+      }
+
+      .performance-history {
+        border-top: 1px solid rgba(255, 255, 255, 0.1);
+        padding: 12px 0;
+      }
+
+      .history-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .history-header h4 {
+        margin: 0 auto 0 0;
+        font-size: 14px;
+        font-weight: 600;
+        color: #f3f4f6;
+      }
+
+      .control-btn:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      .history-list {
+        margin-top: 8px;
+        max-height: 200px;
+        overflow-y: auto;
+      }
+
+      .history-item {
+        display: grid;
+        grid-template-columns: auto 1fr auto auto;
+        gap: 8px;
+        align-items: center;
+        padding: 4px 0;
+        font-size: 12px;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.05);
+      }
+
+      .history-item input {
+        accent-color: #6366f1;
+      }
+
+      .history-meta {
+        display: block;
+        color: #6b7280;
+        font-size: 10px;
+      }
+
+      .history-action {
+        background: none;
+        border: none;
+        color: #9ca3af;
+        cursor: pointer;
+        font-size: 12px;
+        padding: 2px 4px;
+        opacity: 0.5;
+      }
+
+      .history-action:hover,
+      .history-action.active {
+        opacity: 1;
+      }
+
+      .history-empty {
+        color: #6b7280;
+        font-size: 12px;
+      }
+
       .performance-results {
         border-top: 1px solid rgba(255, 255, 255, 0.1);
         padding-top: 12px;
@@ -397,6 +707,16 @@ export class PerformanceUI {
     const stopBtn = this.panel.querySelector('#stopMonitoring');
     const resetBtn = this.panel.querySelector('#resetMetrics');
     const runTestsBtn = this.panel.querySelector('#runTests');
+    const runSeriesBtn = this.panel.querySelector('#runSeries');
+    const loadSelect = this.panel.querySelector('#loadProfile');
+    const cancelBtn = this.panel.querySelector('#cancelTests');
+    const exportJSONBtn = this.panel.querySelector('#exportJSON');
+    const exportCSVBtn = this.panel.querySelector('#exportCSV');
+    const exportTraceBtn = this.panel.querySelector('#exportTrace');
+    const importBtn = this.panel.querySelector('#importReport');
+    const importInput = this.panel.querySelector('#importReportFile');
+    const toggleHistoryBtn = this.panel.querySelector('#toggleHistory');
+    const compareHistoryBtn = this.panel.querySelector('#compareHistory');
 
     // Toggle collapse with smooth animation
     collapseBtn.addEventListener('click', () => {
@@ -413,6 +733,25 @@ export class PerformanceUI {
         collapseBtn.title = 'Collapse';
         collapseBtn.classList.remove('active');
       }
+
+      if (this.graphs) {
+        this.graphs.setActive(!this.isCollapsed);
+      }
+    });
+
+    // Load applies to every test started afterwards, from the panel or the console
+    loadSelect.addEventListener('change', () => {
+      if (window.animationTester) {
+        window.animationTester.setLoad(loadSelect.value || null);
+      }
+    });
+
+    cancelBtn.addEventListener('click', () => {
+      if (this.abortController) {
+        this.abortController.abort();
+        cancelBtn.disabled = true;
+        this.panel.querySelector('#progressLabel').textContent = 'Cancelling…';
+      }
     });
 
     // Control buttons
@@ -434,37 +773,308 @@ export class PerformanceUI {
 
     resetBtn.addEventListener('click', () => {
       if (window.performanceMonitor) {
-        window.performanceMonitor.resetMetrics();
+        window.performanceMonitor.reset();
         this.updateMetrics({
           fps: '--',
           memory: '--',
           frameTime: '--',
+          longTasks: '--',
+          cpuUsage: '--',
+          interactionLatency: '--',
           animationCount: 0
         });
       }
     });
 
     runTestsBtn.addEventListener('click', async () => {
-      if (window.animationTester) {
+      const scenarioIds = this.getSelectedScenarioIds();
+
+      if (window.animationTester && scenarioIds.length > 0) {
         runTestsBtn.disabled = true;
+        runSeriesBtn.disabled = true;
         runTestsBtn.textContent = 'Testing...';
+        const signal = this.startProgress();
         
         try {
-          const results = await window.animationTester.runAllTests();
+          const results = await window.animationTester.runAllTests({ ids: scenarioIds, signal });
           this.displayTestResults(results);
         } catch (error) {
-          console.error('Test execution failed:', error);
+          this.handleRunError(error, 'Test execution failed:');
         } finally {
+          this.endProgress();
           runTestsBtn.disabled = false;
+          runSeriesBtn.disabled = false;
           runTestsBtn.textContent = 'Run Tests';
         }
       }
     });
 
+    runSeriesBtn.addEventListener('click', async () => {
+      const scenarioIds = this.getSelectedScenarioIds();
+
+      if (window.animationTester && scenarioIds.length > 0) {
+        runSeriesBtn.disabled = true;
+        runTestsBtn.disabled = true;
+        runSeriesBtn.textContent = 'Running...';
+        const signal = this.startProgress();
+
+        try {
+          const series = await window.animationTester.runIterations({
+            ids: scenarioIds,
+            warmup: parseInt(this.panel.querySelector('#seriesWarmup').value, 10) || 0,
+            iterations: Math.max(2, parseInt(this.panel.querySelector('#seriesIterations').value, 10) || 2),
+            signal
+          });
+          this.displaySeriesResults(series);
+
+          // Compare against the previous series from this session
+          if (this.previousSeries) {
+            const comparison = window.animationTester.compareIterationResults(series, this.previousSeries);
+            this.displayComparison(comparison, ['Latest', 'Previous'], true);
+          }
+          this.previousSeries = series;
+        } catch (error) {
+          this.handleRunError(error, 'Series execution failed:');
+        } finally {
+          this.endProgress();
+          runSeriesBtn.disabled = false;
+          runTestsBtn.disabled = false;
+          runSeriesBtn.textContent = 'Run Series';
+        }
+      }
+    });
+
+    exportJSONBtn.addEventListener('click', () => {
+      if (window.performanceMonitor && window.animationTester) {
+        const report = createReport({
+          library: this.library,
+          monitor: window.performanceMonitor,
+          tester: window.animationTester
+        });
+        downloadFile(`${this.getExportFileName()}.json`, JSON.stringify(report, null, 2), 'application/json');
+      }
+    });
+
+    exportCSVBtn.addEventListener('click', () => {
+      if (window.performanceMonitor) {
+        const fileName = this.getExportFileName();
+        const csvs = createSeriesCSVs(window.performanceMonitor.exportData().rawData);
+
+        Object.entries(csvs).forEach(([series, csv]) => {
+          downloadFile(`${fileName}-${series}.csv`, csv, 'text/csv');
+        });
+      }
+    });
+
+    exportTraceBtn.addEventListener('click', () => {
+      if (window.performanceMonitor && window.animationTester) {
+        const trace = createTrace({
+          library: this.library,
+          monitor: window.performanceMonitor,
+          tester: window.animationTester
+        });
+        downloadFile(`${this.getExportFileName()}-trace.json`, JSON.stringify(trace), 'application/json');
+      }
+    });
+
+    importBtn.addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      importInput.value = '';
+      if (!file) return;
+
+      try {
+        this.displayImportedReport(parseReport(await file.text()), file.name);
+      } catch (error) {
+        this.panel.querySelector('#performanceResults').innerHTML = `
+          <h4>Import failed: ${this.escapeHTML(file.name)}</h4>
+          <div class="test-status error import-errors">${this.escapeHTML(error.message)}</div>
+        `;
+      }
+    });
+
+    toggleHistoryBtn.addEventListener('click', () => {
+      const historyList = this.panel.querySelector('#historyList');
+      historyList.hidden = !historyList.hidden;
+      toggleHistoryBtn.textContent = historyList.hidden ? 'Show' : 'Hide';
+
+      if (!historyList.hidden) {
+        if (!this.unsubscribeHistory) {
+          this.unsubscribeHistory = benchmarkHistory.onChange(() => {
+            this.renderHistory().catch(error => console.warn('Could not render history:', error));
+          });
+        }
+        this.renderHistory().catch(error => console.warn('Could not render history:', error));
+      }
+    });
+
+    compareHistoryBtn.addEventListener('click', () => {
+      const [runA, runB] = this.historyRuns.filter(run => this.selectedHistoryRuns.has(getRunKey(run).join('|')));
+
+      if (runA && runB) {
+        this.displayComparison(compareSeries(runA, runB), [this.getHistoryLabel(runA), this.getHistoryLabel(runB)]);
+      }
+    });
+
     // Set initial states
     stopBtn.disabled = true;
   }
 
+  /**
+   * Show an imported report and add it to the history so it can be compared
+   */
+  async displayImportedReport(report, fileName) {
+    this.displayTestResults({ tests: report.tests, summary: report.data.summary }, `Imported: ${this.escapeHTML(fileName)}`);
+
+    try {
+      await benchmarkHistory.save(createRecordFromReport(report));
+    } catch (error) {
+      console.warn('Could not add imported report to history:', error);
+    }
+  }
+
+  /**
+   * Base file name for exports, e.g. performance-gsap-2024-01-31T12-00-00
+   */
+  getExportFileName() {
+    const library = (this.library || 'page').toLowerCase();
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+
+    return `performance-${library}-${timestamp}`;
+  }
+
+  /**
+   * Escape text for insertion into panel HTML, including quoted attribute values
+   */
+  escapeHTML(text) {
+    const element = document.createElement('div');
+    element.textContent = text;
+    return element.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Render stored runs with select, pin and delete controls
+   */
+  async renderHistory() {
+    const historyList = this.panel.querySelector('#historyList');
+
+    try {
+      this.historyRuns = await benchmarkHistory.list();
+    } catch (error) {
+      console.warn('Could not read history:', error);
+      historyList.innerHTML = '<div class="history-empty">History is not available in this browser</div>';
+      return;
+    }
+
+    // Forget selections of runs that no longer exist
+    const keys = new Set(this.historyRuns.map(run => getRunKey(run).join('|')));
+    this.selectedHistoryRuns.forEach(key => {
+      if (!keys.has(key)) this.selectedHistoryRuns.delete(key);
+    });
+
+    if (this.historyRuns.length === 0) {
+      historyList.innerHTML = '<div class="history-empty">No runs stored yet</div>';
+    } else {
+      historyList.innerHTML = this.historyRuns.map((run, index) => {
+        const key = getRunKey(run).join('|');
+        // Runs stored before a metric existed, or saved by other tools, may lack it
+        const fpsMeans = Object.values(run.scenarios || {})
+          .map(scenario => scenario.metrics && scenario.metrics.averageFPS ? scenario.metrics.averageFPS.mean : null)
+          .filter(mean => typeof mean === 'number');
+        const fps = fpsMeans.length > 0 ? Math.round(fpsMeans.reduce((a, b) => a + b, 0) / fpsMeans.length) : '--';
+        const runs = {
+          series: `${run.iterations} runs`,
+          imported: 'imported report'
+        }[run.kind] || '1 run';
+
+        return `
+          <div class="history-item" data-index="${index}">
+            <input type="checkbox" class="history-select" ${this.selectedHistoryRuns.has(key) ? 'checked' : ''}>
+            <span>
+              ${this.escapeHTML(this.getHistoryLabel(run))} · ${fps} FPS
+              <span class="history-meta">${this.escapeHTML(run.scenario)} · ${runs}${run.load ? ` · ${this.escapeHTML(run.load)}` : ''}</span>
+            </span>
+            <button class="history-action ${run.pinned ? 'active' : ''}" data-action="pin" title="${run.pinned ? 'Unpin' : 'Pin'}">📌</button>
+            <button class="history-action" data-action="delete" title="Delete">✕</button>
+          </div>
+        `;
+      }).join('');
+    }
+
+    historyList.querySelectorAll('.history-item').forEach(item => {
+      const run = this.historyRuns[item.dataset.index];
+      const key = getRunKey(run).join('|');
+
+      item.querySelector('.history-select').addEventListener('change', (event) => {
+        if (event.target.checked) {
+          this.selectedHistoryRuns.add(key);
+        } else {
+          this.selectedHistoryRuns.delete(key);
+        }
+        this.updateHistoryCompareButton();
+      });
+
+      item.querySelector('[data-action="pin"]').addEventListener('click', () => {
+        benchmarkHistory.setPinned(getRunKey(run), !run.pinned);
+      });
+
+      item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        benchmarkHistory.delete(getRunKey(run));
+      });
+    });
+
+    this.updateHistoryCompareButton();
+  }
+
+  /**
+   * Comparing needs exactly two selected runs
+   */
+  updateHistoryCompareButton() {
+    this.panel.querySelector('#compareHistory').disabled = this.selectedHistoryRuns.size !== 2;
+  }
+
+  /**
+   * Short label for a stored run
+   */
+  getHistoryLabel(run) {
+    const date = new Date(run.timestamp);
+    return `${run.library} ${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+  }
+
+  /**
+   * Render the registered scenarios as a checkbox list
+   */
+  renderScenarioList(scenarios) {
+    const container = this.panel.querySelector('#performanceScenarios');
+    
+    container.innerHTML = '<h4>Scenarios</h4>' + scenarios.map(scenario => `
+      <label class="scenario-item">
+        <input type="checkbox" value="${this.escapeHTML(scenario.id)}" ${this.deselectedScenarios.has(scenario.id) ? '' : 'checked'}>
+        <span>${this.escapeHTML(scenario.name)}</span>
+        <span class="scenario-tags">${this.escapeHTML(scenario.tags.join(', '))}</span>
+      </label>
+    `).join('');
+
+    container.querySelectorAll('input').forEach(input => {
+      input.addEventListener('change', () => {
+        if (input.checked) {
+          this.deselectedScenarios.delete(input.value);
+        } else {
+          this.deselectedScenarios.add(input.value);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get ids of the scenarios checked in the panel
+   */
+  getSelectedScenarioIds() {
+    return Array.from(this.panel.querySelectorAll('#performanceScenarios input:checked'))
+      .map(input => input.value);
+  }
+
   /**
    * Update performance metrics display
    */
@@ -472,6 +1082,9 @@ export class PerformanceUI {
     const fpsElement = this.panel.querySelector('#fps');
     const memoryElement = this.panel.querySelector('#memory');
     const frameTimeElement = this.panel.querySelector('#frameTime');
+    const longTasksElement = this.panel.querySelector('#longTasks');
+    const cpuUsageElement = this.panel.querySelector('#cpuUsage');
+    const interactionElement = this.panel.querySelector('#interactionLatency');
     const animationCountElement = this.panel.querySelector('#animationCount');
 
     if (fpsElement && metrics.fps !== undefined) {
@@ -481,12 +1094,28 @@ export class PerformanceUI {
 
     if (memoryElement && metrics.memory !== undefined) {
       memoryElement.textContent = metrics.memory;
+      memoryElement.style.color = this.getMemoryColor(metrics.memoryUsage);
+      memoryElement.title = metrics.memorySource || '';
     }
 
     if (frameTimeElement && metrics.frameTime !== undefined) {
       frameTimeElement.textContent = metrics.frameTime;
     }
 
+    if (longTasksElement && metrics.longTasks !== undefined) {
+      longTasksElement.textContent = metrics.longTasks;
+      longTasksElement.style.color = this.getLongTaskColor(metrics.longTasks);
+    }
+
+    if (cpuUsageElement && metrics.cpuUsage !== undefined) {
+      cpuUsageElement.textContent = metrics.cpuUsage;
+    }
+
+    if (interactionElement && metrics.interactionLatency !== undefined) {
+      interactionElement.textContent = metrics.interactionLatency;
+      interactionElement.style.color = this.getInteractionColor(metrics.interactionLatency);
+    }
+
     if (animationCountElement && metrics.animationCount !== undefined) {
       animationCountElement.textContent = metrics.animationCount;
     }
@@ -502,28 +1131,142 @@ export class PerformanceUI {
     return '#ef4444';
   }
 
+  /**
+   * Get memory color based on the share of the heap limit in use
+   */
+  getMemoryColor(usagePercent) {
+    if (usagePercent === null || usagePercent === undefined) return '#9ca3af';
+    if (usagePercent < 50) return '#10b981';
+    if (usagePercent < 80) return '#f59e0b';
+    return '#ef4444';
+  }
+
+  /**
+   * Memory sample as MB, or as a DOM node count where no byte-level source is available
+   */
+  formatMemory(memory) {
+    if (!memory) return '--';
+    if (memory.used !== null) return `${memory.used}MB`;
+    return memory.proxies.domNodes !== null ? `${memory.proxies.domNodes} nodes` : '--';
+  }
+
+  /**
+   * Turn a monitor 'sample' summary into panel display values
+   */
+  formatSummary(summary) {
+    const memory = summary.currentMemory;
+
+    return {
+      fps: summary.averageFPS || '--',
+      memory: this.formatMemory(memory),
+      memorySource: memory ? MEMORY_SOURCES[memory.source] : null,
+      memoryUsage: memory && memory.used !== null && memory.limit ? (memory.used / memory.limit) * 100 : null,
+      frameTime: summary.frameTimePercentiles.p95 ? `${summary.frameTimePercentiles.p95}ms` : '--',
+      longTasks: summary.longTasks.supported ? summary.longTasks.count : '--',
+      cpuUsage: summary.cpuUsage.latest !== null ? `${summary.cpuUsage.latest}%` : '--',
+      interactionLatency: summary.interactions.count > 0 ? `${summary.interactions.p98}ms` : '--',
+      animationCount: summary.animationCount
+    };
+  }
+
+  /**
+   * Get interaction latency color using the INP thresholds (200ms good, 500ms poor)
+   */
+  getInteractionColor(latency) {
+    const value = parseFloat(latency);
+    if (Number.isNaN(value)) return '#9ca3af';
+    if (value <= 200) return '#10b981';
+    if (value <= 500) return '#f59e0b';
+    return '#ef4444';
+  }
+
+  /**
+   * Get long task color based on count
+   */
+  getLongTaskColor(count) {
+    if (count === '--') return '#9ca3af';
+    if (count === 0) return '#10b981';
+    if (count <= 5) return '#f59e0b';
+    return '#ef4444';
+  }
+
   /**
    * Display test results
    */
-  displayTestResults(results) {
+  displayTestResults(results, title = 'Test Results') {
     const resultsContainer = this.panel.querySelector('#performanceResults');
     
-    let html = '<h4>Test Results</h4>';
+    let html = `<h4>${title}</h4>`;
     
-    // Individual test results
-    Object.entries(results).forEach(([test, data]) => {
-      if (typeof data === 'number') {
+    // Individual test results, each graded on its own metric window
+    (results.tests || []).forEach(result => {
+      if (result.details && result.details.skipped) {
         html += `
           <div class="test-result">
             <div class="test-result-header">
-              <span class="test-name">${test}</span>
-              <span class="test-duration">${data}ms</span>
+              <span class="test-name">${this.escapeHTML(result.test)}</span>
+              <span class="test-status warning">Skipped</span>
             </div>
           </div>
         `;
+        return;
       }
+
+      const metrics = result.metrics;
+      const grade = metrics.performance;
+      html += `
+        <div class="test-result">
+          <div class="test-result-header">
+            <span class="test-name">${this.escapeHTML(result.test)}</span>
+            <span class="test-duration">${this.escapeHTML(result.duration)}ms</span>
+          </div>
+          <div class="test-metrics">
+            <div class="test-metric">
+              <span class="test-metric-label">FPS</span>
+              <span class="test-metric-value">${this.escapeHTML(metrics.averageFPS)}</span>
+            </div>
+            <div class="test-metric">
+              <span class="test-metric-label">p95</span>
+              <span class="test-metric-value">${this.escapeHTML(metrics.frameTimePercentiles.p95)}ms</span>
+            </div>
+            <div class="test-metric">
+              <span class="test-metric-label">Long tasks</span>
+              <span class="test-metric-value">${metrics.longTasks.supported ? this.escapeHTML(metrics.longTasks.count) : '--'}</span>
+            </div>
+            <div class="test-metric">
+              <span class="test-metric-label">Memory Δ</span>
+              <span class="test-metric-value">${metrics.memoryDelta !== null ? `${this.escapeHTML(metrics.memoryDelta)}MB` : '--'}</span>
+            </div>
+          </div>
+          ${this.getGradeHTML(grade)}
+          ${result.budget ? this.getBudgetHTML(result.budget) : ''}
+          ${result.details && result.details.leakCheck ? this.getLeakCheckHTML(result.details) : ''}
+          ${result.details && result.details.stressRamp ? this.getStressRampHTML(result.details) : ''}
+          ${result.details && result.details.scrollDriven ? this.getScrollHTML(result.details) : ''}
+          ${result.details && result.details.triggerAccuracy ? this.getTriggerAccuracyHTML(result.details) : ''}
+          ${result.load ? this.getLoadHTML(result.load) : ''}
+          ${metrics.interactions && metrics.interactions.count > 0 ? this.getInteractionHTML(metrics.interactions) : ''}
+          ${result.fixture && !result.fixture.clean ? `
+            <div class="test-status error">Page not restored: ${this.escapeHTML(result.fixture.mismatches.length + (result.fixture.leaks || []).length)} change(s)</div>
+          ` : ''}
+        </div>
+      `;
     });
 
+    // Regression gate across all tests of the run
+    if (results.budget) {
+      html += `
+        <div class="test-result">
+          <div class="test-result-header">
+            <span class="test-name">Budgets</span>
+            <span class="test-status ${results.budget.passed ? 'success' : 'error'}">
+              ${results.budget.passed ? 'Pass' : `Fail: ${results.budget.failed.length} test(s)`}
+            </span>
+          </div>
+        </div>
+      `;
+    }
+
     // Performance summary
     if (results.summary) {
       const grade = results.summary.performance;
@@ -531,28 +1274,404 @@ export class PerformanceUI {
         <div class="test-result">
           <div class="test-result-header">
             <span class="test-name">Overall Performance</span>
-            <span class="test-duration">${results.summary.averageFPS} FPS</span>
-          </div>
-          <div class="performance-grade grade-${grade.grade.toLowerCase()}">
-            Grade ${grade.grade}: ${grade.description}
+            <span class="test-duration">${this.escapeHTML(results.summary.averageFPS)} FPS</span>
           </div>
+          ${this.getGradeHTML(grade)}
+        </div>
+      `;
+    }
+
+    resultsContainer.innerHTML = html;
+  }
+
+  /**
+   * Render a grade badge; grades from imported reports are escaped like any other report text
+   */
+  getGradeHTML(grade) {
+    const letter = this.escapeHTML(grade.grade);
+
+    return `
+      <div class="performance-grade grade-${letter.toLowerCase()}">
+        Grade ${letter}: ${this.escapeHTML(grade.description)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a test's budget evaluation; empty when the test has no budget
+   */
+  getBudgetHTML(budget) {
+    if (budget.checked === 0 && budget.unavailable.length === 0) return '';
+
+    const unavailable = budget.unavailable.length > 0
+      ? `<span class="budget-note">Not measured: ${this.escapeHTML(budget.unavailable.join(', '))}</span>`
+      : '';
+
+    if (budget.passed) {
+      return `
+        <div class="budget-result">
+          <span class="test-status success">Budget passed (${this.escapeHTML(budget.checked)})</span>
+          ${unavailable}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="budget-result">
+        ${budget.violations.map(violation => `
+          <div class="test-status error">${this.escapeHTML(describeViolation(violation))}</div>
+        `).join('')}
+        ${unavailable}
+      </div>
+    `;
+  }
+
+  /**
+   * Render worst and p98 interaction latency, overall and per control
+   */
+  getInteractionHTML(interactions) {
+    return `
+      <div class="budget-result">
+        <span class="test-status ${interactions.p98 <= 200 ? 'success' : interactions.p98 <= 500 ? 'warning' : 'error'}">
+          ${this.escapeHTML(`Interactions: p98 ${interactions.p98}ms, worst ${interactions.worst}ms (${interactions.count}, ${interactions.sources.join(', ')})`)}
+        </span>
+        ${Object.entries(interactions.byControl).map(([control, stats]) => `
+          <span class="budget-note">${this.escapeHTML(`${control}: p98 ${stats.p98}ms, worst ${stats.worst}ms (${stats.count})`)}</span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render per-cycle growth from a leak check
+   */
+  getLeakCheckHTML(details) {
+    const labels = {
+      heapMB: 'Heap (MB)',
+      domNodes: 'DOM nodes',
+      timers: 'Timeouts',
+      intervals: 'Intervals',
+      tickers: 'Tickers',
+      listeners: 'Listeners'
+    };
+    const unmeasured = Object.keys(labels).filter(metric => !details.growth[metric]);
+
+    return `
+      <div class="budget-result">
+        <span class="test-status ${details.leaks.length > 0 ? 'error' : 'success'}">
+          ${this.escapeHTML(details.leaks.length > 0 ? `Leaking: ${details.leaks.map(metric => labels[metric] || metric).join(', ')}` : `No leaks in ${details.cycles} cycles`)}
+        </span>
+        ${Object.entries(details.growth).map(([metric, growth]) => `
+          <span class="budget-note">${this.escapeHTML(`${labels[metric] || metric}: ${growth.start} → ${growth.end} (${growth.slope >= 0 ? '+' : ''}${growth.slope}/cycle)`)}</span>
+        `).join('')}
+        ${unmeasured.length > 0 ? `<span class="budget-note">Not measured: ${unmeasured.map(metric => labels[metric]).join(', ')}</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Show the progress bar and follow the tester's progress; returns the signal that cancels the run
+   */
+  startProgress() {
+    const progress = this.panel.querySelector('#performanceProgress');
+    const label = this.panel.querySelector('#progressLabel');
+    const track = progress.querySelector('.progress-track');
+    const fill = this.panel.querySelector('#progressFill');
+
+    this.abortController = new AbortController();
+    this.panel.querySelector('#cancelTests').disabled = false;
+    label.textContent = 'Starting…';
+    fill.style.width = '0%';
+    track.setAttribute('aria-valuenow', '0');
+    progress.hidden = false;
+
+    this.unsubscribeProgress = window.animationTester.onProgress(({ name, step, run, percent }) => {
+      label.textContent = `${percent}% · ${run ? `${run} · ` : ''}${name}${step !== 'Starting' ? ` · ${step}` : ''}`;
+      fill.style.width = `${percent}%`;
+      track.setAttribute('aria-valuenow', String(percent));
+    });
+
+    return this.abortController.signal;
+  }
+
+  /**
+   * Hide the progress bar once a run finished, failed or was cancelled
+   */
+  endProgress() {
+    if (this.unsubscribeProgress) {
+      this.unsubscribeProgress();
+      this.unsubscribeProgress = null;
+    }
+    this.abortController = null;
+    this.panel.querySelector('#performanceProgress').hidden = true;
+  }
+
+  /**
+   * Report a failed run; cancelled runs get a notice instead of an error
+   */
+  handleRunError(error, message) {
+    if (error && error.name === 'AbortError') {
+      this.panel.querySelector('#performanceResults').innerHTML = `
+        <div class="test-result">
+          <span class="test-status">Run cancelled; the page was restored</span>
+        </div>
+      `;
+      return;
+    }
+
+    console.error(message, error);
+  }
+
+  /**
+   * Render frame timing recorded while a scroll profile was scrolling
+   */
+  getScrollHTML(details) {
+    return `
+      <div class="budget-result">
+        <span class="test-status ${details.jankFrames > 0 ? 'warning' : 'success'}">
+          ${this.escapeHTML(`${details.label}: ${details.jankFrames} janky frame(s) while scrolling`)}
+        </span>
+        <span class="budget-note">
+          ${this.escapeHTML(`${details.distance}px in ${details.scrollTime}ms · p95 ${details.frameTimePercentiles.p95}ms · longest ${details.longestFrame}ms · ${details.droppedFrames} dropped`)}
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render where each trigger fired against its intended line, per scroll pass
+   */
+  getTriggerAccuracyHTML(details) {
+    const { summary } = details;
+    const describe = trigger => {
+      if (!trigger.fired) return `${trigger.id} ${trigger.reached ? 'missed' : 'not reached'}`;
+      if (trigger.latency === null) return `${trigger.id} at ${trigger.firedAt}px`;
+      return `${trigger.id} ${trigger.positionError >= 0 ? '+' : ''}${trigger.positionError}px / ${trigger.latency}ms`;
+    };
+
+    return `
+      <div class="budget-result">
+        <span class="test-status ${summary.missed > 0 ? 'error' : 'success'}">
+          ${this.escapeHTML(`${summary.fired}/${summary.checked} triggers fired${summary.missed > 0 ? `, ${summary.missed} missed` : ''}`)}
+        </span>
+        ${summary.meanLatency !== null ? `
+          <span class="budget-note">
+            ${this.escapeHTML(`Latency mean ${summary.meanLatency}ms, worst ${summary.worstLatency}ms · position error mean ${summary.meanPositionError}px, worst ${summary.worstPositionError}px`)}
+          </span>
+        ` : ''}
+        ${details.passes.map(pass => `
+          <span class="budget-note">${this.escapeHTML(`${pass.label}: ${pass.triggers.map(describe).join(', ')}`)}</span>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the injected load and how quickly frames recovered after each block
+   */
+  getLoadHTML(load) {
+    const { recovery } = load;
+
+    return `
+      <div class="budget-result">
+        <span class="budget-note">${this.escapeHTML(`Load: ${load.label} (${load.blocks} blocks, ${load.injectedTime}ms)`)}</span>
+        ${recovery && recovery.count > 0 ? `
+          <span class="budget-note">${this.escapeHTML(`Recovery: mean ${recovery.mean}ms, worst ${recovery.worst}ms`)}</span>
+        ` : ''}
+        ${recovery && recovery.unrecovered > 0 ? `
+          <span class="test-status error">${this.escapeHTML(recovery.unrecovered)} block(s) never recovered</span>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Memory bars for the head-to-head chart, drawn only when both engines measured bytes from the same source
+   * Samples from before the memory probe have no source and came from performance.memory
+   */
+  getMemoryComparisonHTML(gsapMemory, vanillaMemory) {
+    const getSource = memory => memory ? memory.source || 'performance.memory' : null;
+    const describe = memory => memory ? MEMORY_SOURCES[getSource(memory)] || getSource(memory) : 'no memory samples';
+    const comparable = gsapMemory && vanillaMemory && gsapMemory.used !== null && vanillaMemory.used !== null &&
+      getSource(gsapMemory) === getSource(vanillaMemory);
+
+    if (!comparable) {
+      return `
+        <div class="metric-comparison">
+          <div class="metric-label">Memory</div>
+          <div class="metric-note">Not comparable: GSAP ${this.escapeHTML(describe(gsapMemory))}, Vanilla ${this.escapeHTML(describe(vanillaMemory))}</div>
         </div>
       `;
     }
 
+    const scale = Math.max(gsapMemory.used, vanillaMemory.used) || 1;
+
+    return `
+      <div class="metric-comparison">
+        <div class="metric-label">Memory (MB, ${this.escapeHTML(describe(gsapMemory))})</div>
+        <div class="metric-bars">
+          <div class="metric-bar gsap" style="width: ${(gsapMemory.used / scale) * 100}%">
+            <span class="bar-label">GSAP: ${gsapMemory.used}</span>
+          </div>
+          <div class="metric-bar vanilla" style="width: ${(vanillaMemory.used / scale) * 100}%">
+            <span class="bar-label">Vanilla: ${vanillaMemory.used}</span>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the capacity found by a stress ramp and the p95 frame time of each step
+   */
+  getStressRampHTML(details) {
+    return `
+      <div class="budget-result">
+        <span class="test-status ${details.maxElements > 0 ? 'success' : 'error'}">
+          ${this.escapeHTML(`${details.limitReached ? '' : '≥ '}${details.maxElements} elements at 60fps (p95 ≤ ${details.frameBudget}ms)`)}
+        </span>
+        <span class="budget-note">
+          ${this.escapeHTML(details.curve.map(step => `${step.count}: ${step.p95FrameTime}ms`).join(', '))}
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * Display mean, 95% CI and coefficient of variation from an iteration series
+   */
+  displaySeriesResults(series) {
+    const resultsContainer = this.panel.querySelector('#performanceResults');
+    const format = (stats, unit = '') => {
+      const halfWidth = (stats.ci95[1] - stats.ci95[0]) / 2;
+      return `${stats.mean.toFixed(1)}${unit} ±${halfWidth.toFixed(1)}`;
+    };
+
+    let html = `<h4>Series Results (${series.iterations} runs, ${series.warmup} warmup)</h4>`;
+
+    Object.values(series.scenarios).forEach(scenario => {
+      const { averageFPS, p95FrameTime } = scenario.metrics;
+      html += `
+        <div class="test-result">
+          <div class="test-result-header">
+            <span class="test-name">${this.escapeHTML(scenario.name)}</span>
+            <span class="test-duration">CV ${(averageFPS.coefficientOfVariation * 100).toFixed(1)}%</span>
+          </div>
+          <div class="test-metrics">
+            <div class="test-metric">
+              <span class="test-metric-label">FPS</span>
+              <span class="test-metric-value">${format(averageFPS)}</span>
+            </div>
+            <div class="test-metric">
+              <span class="test-metric-label">p95</span>
+              <span class="test-metric-value">${format(p95FrameTime, 'ms')}</span>
+            </div>
+          </div>
+        </div>
+      `;
+    });
+
     resultsContainer.innerHTML = html;
   }
 
+  /**
+   * Display a statistical comparison of two iteration series
+   * Each metric is labelled "significant" or "inconclusive"
+   */
+  displayComparison(comparison, labels = ['GSAP', 'Vanilla'], append = false) {
+    const resultsContainer = this.panel.querySelector('#performanceResults');
+    const html = this.getComparisonHTML(comparison, labels);
+
+    if (append) {
+      resultsContainer.insertAdjacentHTML('beforeend', html);
+    } else {
+      resultsContainer.innerHTML = html;
+    }
+  }
+
+  /**
+   * Render a statistical comparison as result rows
+   */
+  getComparisonHTML(comparison, labels = ['GSAP', 'Vanilla']) {
+    const metricNames = {
+      averageFPS: 'FPS',
+      p95FrameTime: 'p95 frame time',
+      p99FrameTime: 'p99 frame time',
+      longTasks: 'Long tasks',
+      memoryDelta: 'Memory Δ',
+      p98Interaction: 'Interaction p98',
+      worstInteraction: 'Worst interaction',
+      leakingMetrics: 'Leaking metrics',
+      maxElements: 'Max elements at 60fps',
+      scrollP95FrameTime: 'Scroll p95 frame time',
+      scrollJankFrames: 'Scroll jank frames',
+      triggerLatency: 'Trigger latency',
+      triggerPositionError: 'Trigger position error',
+      missedTriggers: 'Missed triggers',
+      jankRecovery: 'Jank recovery'
+    };
+
+    let html = `<h4>${this.escapeHTML(labels[0])} vs ${this.escapeHTML(labels[1])}</h4>`;
+
+    Object.values(comparison).forEach(scenario => {
+      html += `
+        <div class="test-result">
+          <div class="test-result-header">
+            <span class="test-name">${this.escapeHTML(scenario.name)}</span>
+          </div>
+      `;
+
+      Object.entries(metricNames).forEach(([metric, label]) => {
+        const result = scenario.metrics[metric];
+        if (!result) return;
+
+        const sign = result.difference > 0 ? '+' : '';
+        html += `
+          <div class="comparison-row">
+            <span class="test-metric-label">${label}</span>
+            <span class="test-metric-value">${sign}${result.difference.toFixed(1)}</span>
+            <span class="test-status ${result.significant ? 'success' : 'warning'}" title="p = ${result.pValue.toFixed(3)}">${result.label}</span>
+          </div>
+        `;
+      });
+
+      html += '</div>';
+    });
+
+    return html;
+  }
+
   /**
    * Show performance panel
    */
-  show() {
+  show({ library } = {}) {
+    if (library) {
+      this.library = library;
+    }
+
     if (!this.panel) {
       this.createPerformancePanel();
     }
     
     document.body.appendChild(this.panel);
     this.isVisible = true;
+
+    // Metrics arrive as monitor events instead of being written into the page by the monitor
+    if (window.performanceMonitor && !this.unsubscribeMonitor) {
+      this.unsubscribeMonitor = window.performanceMonitor.on('sample', summary => this.updateMetrics(this.formatSummary(summary)));
+    }
+
+    if (window.performanceMonitor && !this.graphs) {
+      this.graphs = new PerformanceGraphs(this.panel.querySelector('#performanceGraphs'), window.performanceMonitor);
+      this.graphs.attach();
+    }
+    this.graphs.setActive(!this.isCollapsed);
+
+    // Keep the scenario list in sync with scenarios registered later by plugins
+    if (window.animationTester && !this.unsubscribeScenarios) {
+      this.unsubscribeScenarios = window.animationTester.onScenariosChange(scenarios => this.renderScenarioList(scenarios));
+      this.renderScenarioList(window.animationTester.getScenarios());
+    }
     this.panel.querySelector('#performanceContent').style.display = 'block';
   }
 
@@ -560,6 +1679,11 @@ export class PerformanceUI {
    * Hide performance panel
    */
   hide() {
+    this.isVisible = false;
+    if (this.graphs) {
+      this.graphs.setActive(false);
+    }
+
     if (this.panel && this.panel.parentNode) {
       this.panel.parentNode.removeChild(this.panel);
     }
@@ -567,8 +1691,9 @@ export class PerformanceUI {
 
   /**
    * Create performance comparison chart
+   * capacity is { gsap, vanilla } stress ramp capacities; the capacity rows are left out without both
    */
-  createComparisonChart(gsapData, vanillaData) {
+  createComparisonChart(gsapData, vanillaData, capacity = null) {
     const chartContainer = document.createElement('div');
     chartContainer.className = 'performance-comparison-chart';
     
@@ -588,28 +1713,19 @@ export class PerformanceUI {
             </div>
           </div>
         </div>
+        ${this.getMemoryComparisonHTML(gsapData.currentMemory, vanillaData.currentMemory)}
         <div class="metric-comparison">
-          <div class="metric-label">Memory (MB)</div>
-          <div class="metric-bars">
-            <div class="metric-bar gsap" style="width: ${(gsapData.currentMemory?.used / 100) * 100}%">
-              <span class="bar-label">GSAP: ${gsapData.currentMemory?.used || 0}</span>
-            </div>
-            <div class="metric-bar vanilla" style="width: ${(vanillaData.currentMemory?.used / 100) * 100}%">
-              <span class="bar-label">Vanilla: ${vanillaData.currentMemory?.used || 0}</span>
-            </div>
-          </div>
-        </div>
-        <div class="metric-comparison">
-          <div class="metric-label">Frame Time (ms)</div>
+          <div class="metric-label">p95 Frame Time (ms)</div>
           <div class="metric-bars">
-            <div class="metric-bar gsap" style="width: ${(gsapData.averageFrameTime / 33) * 100}%">
-              <span class="bar-label">GSAP: ${gsapData.averageFrameTime}</span>
+            <div class="metric-bar gsap" style="width: ${(gsapData.frameTimePercentiles.p95 / 33) * 100}%">
+              <span class="bar-label">GSAP: ${gsapData.frameTimePercentiles.p95}</span>
             </div>
-            <div class="metric-bar vanilla" style="width: ${(vanillaData.averageFrameTime / 33) * 100}%">
-              <span class="bar-label">Vanilla: ${vanillaData.averageFrameTime}</span>
+            <div class="metric-bar vanilla" style="width: ${(vanillaData.frameTimePercentiles.p95 / 33) * 100}%">
+              <span class="bar-label">Vanilla: ${vanillaData.frameTimePercentiles.p95}</span>
             </div>
           </div>
         </div>
+        ${capacity && capacity.gsap && capacity.vanilla ? this.getCapacityChartHTML(capacity) : ''}
       </div>
     `;
     
@@ -671,17 +1787,112 @@ export class PerformanceUI {
         background: linear-gradient(90deg, #06b6d4, #10b981);
       }
 
+      .metric-note {
+        font-size: 11px;
+        color: #9ca3af;
+      }
+
       .bar-label {
         position: absolute;
         white-space: nowrap;
         font-size: 10px;
       }
+
+      .capacity-curve {
+        width: 100%;
+        height: auto;
+        font-size: 10px;
+      }
+
+      .capacity-curve text {
+        fill: #9ca3af;
+      }
+
+      .capacity-legend {
+        display: flex;
+        gap: 12px;
+        font-size: 11px;
+        color: #9ca3af;
+      }
+
+      .capacity-legend .gsap {
+        color: #8b5cf6;
+      }
+
+      .capacity-legend .vanilla {
+        color: #10b981;
+      }
     `;
     
     document.head.appendChild(chartStyle);
     
     return chartContainer;
   }
+
+  /**
+   * Max elements at 60fps as bars, plus p95 frame time against element count for both engines
+   * Element counts use a log scale since the stress ramp grows them geometrically
+   */
+  getCapacityChartHTML(capacity) {
+    const width = 400;
+    const height = 160;
+    const padding = { top: 10, right: 10, bottom: 24, left: 34 };
+    const engines = [
+      { key: 'gsap', label: 'GSAP', color: '#8b5cf6', data: capacity.gsap },
+      { key: 'vanilla', label: 'Vanilla', color: '#10b981', data: capacity.vanilla }
+    ];
+    const frameBudget = capacity.gsap.frameBudget;
+    const maxBar = Math.max(...engines.map(engine => engine.data.maxElements.mean), 1);
+
+    const steps = engines.flatMap(engine => engine.data.curve);
+    const minCount = Math.min(...steps.map(step => step.count));
+    const maxCount = Math.max(...steps.map(step => step.count));
+    const maxFrameTime = Math.min(Math.max(frameBudget * 2, ...steps.map(step => step.p95FrameTime)), 100);
+
+    const x = count => padding.left + (maxCount > minCount
+      ? Math.log(count / minCount) / Math.log(maxCount / minCount)
+      : 0.5) * (width - padding.left - padding.right);
+    const y = frameTime => height - padding.bottom -
+      (Math.min(frameTime, maxFrameTime) / maxFrameTime) * (height - padding.top - padding.bottom);
+
+    const bars = engines.map(engine => `
+      <div class="metric-bar ${engine.key}" style="width: ${(engine.data.maxElements.mean / maxBar) * 100}%">
+        <span class="bar-label">${engine.label}: ${Math.round(engine.data.maxElements.mean)}</span>
+      </div>
+    `).join('');
+
+    const lines = engines.map(engine => `
+      <polyline fill="none" stroke="${engine.color}" stroke-width="2"
+        points="${engine.data.curve.map(step => `${x(step.count).toFixed(1)},${y(step.p95FrameTime).toFixed(1)}`).join(' ')}" />
+      ${engine.data.curve.map(step => `
+        <circle cx="${x(step.count).toFixed(1)}" cy="${y(step.p95FrameTime).toFixed(1)}" r="2.5" fill="${engine.color}">
+          <title>${engine.label}: ${step.count} elements, p95 ${step.p95FrameTime}ms</title>
+        </circle>
+      `).join('')}
+    `).join('');
+
+    return `
+      <div class="metric-comparison">
+        <div class="metric-label">Max elements at 60fps (p95 ≤ ${frameBudget}ms)</div>
+        <div class="metric-bars">${bars}</div>
+      </div>
+      <div class="metric-comparison">
+        <div class="metric-label">Capacity curve: p95 frame time (ms) by element count</div>
+        <svg class="capacity-curve" viewBox="0 0 ${width} ${height}" role="img" aria-label="p95 frame time by element count">
+          <line x1="${padding.left}" y1="${y(frameBudget)}" x2="${width - padding.right}" y2="${y(frameBudget)}"
+            stroke="rgba(255, 255, 255, 0.35)" stroke-dasharray="4 4" />
+          <text x="${padding.left - 4}" y="${y(frameBudget) + 3}" text-anchor="end">${frameBudget}</text>
+          <text x="${padding.left - 4}" y="${y(maxFrameTime) + 3}" text-anchor="end">${Math.round(maxFrameTime)}</text>
+          <text x="${padding.left}" y="${height - 8}">${minCount}</text>
+          <text x="${width - padding.right}" y="${height - 8}" text-anchor="end">${maxCount} elements</text>
+          ${lines}
+        </svg>
+        <div class="capacity-legend">
+          ${engines.map(engine => `<span class="${engine.key}">● ${engine.label}</span>`).join('')}
+        </div>
+      </div>
+    `;
+  }
 }
 
 // Global performance UI instance
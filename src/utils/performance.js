@@ -1,3 +1,128 @@
+import {
+  percentile,
+  getPercentiles,
+  buildHistogram,
+  detectRefreshRate,
+  countDroppedFrames,
+  mean,
+  summarizeSamples,
+  compareSeries,
+  linearSlope
+} from './performance-stats.js';
+import { DOMFixture } from './test-fixtures.js';
+import { validateBudget, evaluateBudget, describeViolation } from './performance-budgets.js';
+import { MemoryProbe } from './memory-probe.js';
+import { LoadInjector, normalizeLoad, measureRecovery } from './load-injector.js';
+import { ScrollDriver, SCROLL_PROFILES } from './scroll-driver.js';
+import { TRIGGER_PASSES, measureTriggerPass, summarizeTriggerAccuracy } from './trigger-accuracy.js';
+
+// Rolling window of frame intervals (~10s at 60Hz)
+const FRAME_TIME_WINDOW = 600;
+
+// Frames used to detect the display refresh rate
+const REFRESH_DETECTION_FRAMES = 30;
+
+// Timeline entries kept for trace export (~5 minutes of frames at 60Hz)
+const TIMELINE_LIMIT = 20000;
+
+// How metrics.cpuUsage is estimated; exported with every summary
+const CPU_ESTIMATE_NOTE = 'Estimated main-thread busy share per second: the largest of ' +
+  '(1 - requestIdleCallback idle time), long task/long animation frame time, and frame time beyond the refresh interval. ' +
+  'Work off the main thread (compositor, GPU, workers) is not included.';
+
+// Smallest durationThreshold the Event Timing API accepts
+const EVENT_TIMING_THRESHOLD = 16;
+
+// Interactions kept for INP-style summaries
+const INTERACTION_LIMIT = 200;
+
+// Interaction scenario: input events per slider drag and the pause between controls
+const INTERACTION_DRAG_STEPS = 10;
+const INTERACTION_PAUSE = 300;
+
+// Leak check: mount/destroy cycles, how long each mount runs and the pause before sampling
+const LEAK_CHECK_CYCLES = 5;
+const LEAK_CHECK_MOUNT_TIME = 2000;
+const LEAK_CHECK_SETTLE_TIME = 500;
+
+// Growth per mount/destroy cycle above which the leak check flags a metric
+const LEAK_THRESHOLDS = {
+  heapMB: 1,
+  domNodes: 1,
+  timers: 1,
+  intervals: 0.5,
+  tickers: 0.5,
+  listeners: 0.5
+};
+
+// Stress ramp: element counts grow geometrically from START until a step misses the budget or MAX is reached
+const STRESS_RAMP_START = 25;
+const STRESS_RAMP_GROWTH = 1.5;
+const STRESS_RAMP_MAX = 5000;
+const STRESS_RAMP_SETTLE_TIME = 500;
+const STRESS_RAMP_STEP_TIME = 1500;
+
+// Sustained p95 frame time a stress step must stay within to count as holding 60fps (16.7ms plus jitter)
+const STRESS_FRAME_BUDGET = 20;
+
+// Trigger accuracy: pause at the top before each pass and after it for late (asynchronous) firings
+const TRIGGER_SETTLE_TIME = 500;
+
+// runAllTests() results keep each scenario's duration under its id next to these keys
+const RESERVED_SCENARIO_IDS = ['summary', 'tests', 'budget'];
+
+// Prefix of performance.mark/measure names for test phases
+const PHASE_MARK_PREFIX = 'animation-test:';
+
+// Per-test metrics aggregated across repeated runs
+const ITERATION_METRICS = {
+  averageFPS: result => result.metrics.averageFPS,
+  p95FrameTime: result => result.metrics.frameTimePercentiles.p95,
+  p99FrameTime: result => result.metrics.frameTimePercentiles.p99,
+  maxFrameTime: result => result.metrics.maxFrameTime,
+  droppedFrames: result => result.metrics.droppedFrames,
+  longTasks: result => result.metrics.longTasks.supported ? result.metrics.longTasks.count : null,
+  memoryDelta: result => result.metrics.memoryDelta,
+  p98Interaction: result => result.metrics.interactions && result.metrics.interactions.count > 0
+    ? result.metrics.interactions.p98
+    : null,
+  worstInteraction: result => result.metrics.interactions && result.metrics.interactions.count > 0
+    ? result.metrics.interactions.worst
+    : null,
+  leakingMetrics: result => result.details && result.details.leakCheck ? result.details.leaks.length : null,
+  maxElements: result => result.details && result.details.stressRamp ? result.details.maxElements : null,
+  scrollP95FrameTime: result => result.details && result.details.scrollDriven
+    ? result.details.frameTimePercentiles.p95
+    : null,
+  scrollJankFrames: result => result.details && result.details.scrollDriven ? result.details.jankFrames : null,
+  triggerLatency: result => result.details && result.details.triggerAccuracy
+    ? result.details.summary.meanLatency
+    : null,
+  triggerPositionError: result => result.details && result.details.triggerAccuracy
+    ? result.details.summary.meanPositionError
+    : null,
+  missedTriggers: result => result.details && result.details.triggerAccuracy ? result.details.summary.missed : null,
+  jankRecovery: result => result.load && result.load.recovery && result.load.recovery.count > 0
+    ? result.load.recovery.mean
+    : null,
+  duration: result => result.duration
+};
+
+/**
+ * Dispatch a pointer event, falling back to a mouse event where PointerEvent is unavailable
+ */
+function dispatchPointerEvent(element, type) {
+  const EventType = typeof PointerEvent === 'function' ? PointerEvent : MouseEvent;
+  element.dispatchEvent(new EventType(type, { bubbles: true }));
+}
+
+/**
+ * The reason an aborted signal carries, or an AbortError where the browser has no abort reasons
+ */
+function getAbortReason(signal) {
+  return signal.reason !== undefined ? signal.reason : new DOMException('Test run aborted', 'AbortError');
+}
+
 /**
  * Performance Monitor for Animation Libraries
  * Tracks FPS, memory usage, animation count, and other performance metrics
@@ -10,15 +135,32 @@ export class PerformanceMonitor {
       loadTime: 0,
       animationCount: 0,
       frameTime: [],
+      droppedFrames: 0,
+      refreshRate: null,
+      longTasks: [],
+      interactions: [],
       cpuUsage: 0,
+      cpuBusy: [],
       startTime: performance.now()
     };
     
     this.isMonitoring = false;
     this.fpsInterval = null;
     this.memoryInterval = null;
+    this.longTaskObserver = null;
+    this.longTaskSupport = PerformanceMonitor.getSupportedLongTaskTypes();
+    this.eventObserver = null;
+    this.eventTimingSupported = PerformanceMonitor.isEventTimingSupported();
     this.frameCount = 0;
     this.lastTime = performance.now();
+    this.lastFrameTimestamp = null;
+    this.frameRequestId = null;
+    this.metricWindows = new Set();
+    this.timeline = PerformanceMonitor.createTimeline();
+    this.listeners = new Map();
+    this.idleCallbackId = null;
+    this.busyWindow = PerformanceMonitor.createBusyWindow();
+    this.memoryProbe = new MemoryProbe();
     
     // Bind methods
     this.updateFPS = this.updateFPS.bind(this);
@@ -26,6 +168,86 @@ export class PerformanceMonitor {
     this.measureFrameTime = this.measureFrameTime.bind(this);
   }
 
+  /**
+   * Subscribe to monitor events; returns an unsubscribe function
+   * 'sample' (performance summary, once per second while monitoring), 'fps' ({ fps, time }),
+   * 'cpu' ({ busy, time, sources }), 'memory' (memory info), 'longtask' (long task entry),
+   * 'interaction' (interaction latency), 'testStart' ({ id, test, time }), 'testComplete' (test result)
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Remove a listener added with on()
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Call every listener of an event; a failing listener does not stop monitoring
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+    
+    listeners.forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Performance monitor "${event}" listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Empty timeline of timestamped frames, FPS and CPU samples and animation starts
+   */
+  static createTimeline() {
+    return { frames: [], fps: [], cpu: [], animationStarts: [] };
+  }
+
+  /**
+   * Accumulators for the current one-second CPU busy estimate
+   */
+  static createBusyWindow() {
+    return { start: performance.now(), idleTime: 0, frameOverrun: 0 };
+  }
+
+  /**
+   * Append to a timeline list, dropping the oldest entries beyond TIMELINE_LIMIT
+   */
+  addTimelineEntry(list, entry) {
+    list.push(entry);
+    
+    if (list.length > TIMELINE_LIMIT) {
+      list.splice(0, list.length - TIMELINE_LIMIT);
+    }
+  }
+
+  /**
+   * Get long task entry types supported by this browser
+   * Chromium exposes 'longtask' and (since 123) 'long-animation-frame'
+   */
+  static getSupportedLongTaskTypes() {
+    if (typeof PerformanceObserver === 'undefined' || !PerformanceObserver.supportedEntryTypes) {
+      return [];
+    }
+    
+    return ['longtask', 'long-animation-frame'].filter(type => 
+      PerformanceObserver.supportedEntryTypes.includes(type)
+    );
+  }
+
   /**
    * Start performance monitoring
    */
@@ -42,8 +264,19 @@ export class PerformanceMonitor {
     this.memoryInterval = setInterval(this.updateMemory, 2000);
     
     // Start frame time monitoring
+    this.lastFrameTimestamp = null;
     this.measureFrameTime();
     
+    // Start long task monitoring
+    this.startLongTaskObserver();
+    
+    // Start interaction latency monitoring
+    this.startEventObserver();
+    
+    // Start idle time tracking for the CPU busy estimate
+    this.busyWindow = PerformanceMonitor.createBusyWindow();
+    this.trackIdleTime();
+    
     console.log('🚀 Performance monitoring started');
   }
 
@@ -65,9 +298,236 @@ export class PerformanceMonitor {
       this.memoryInterval = null;
     }
     
+    if (this.frameRequestId) {
+      cancelAnimationFrame(this.frameRequestId);
+      this.frameRequestId = null;
+    }
+    
+    if (this.idleCallbackId !== null) {
+      cancelIdleCallback(this.idleCallbackId);
+      this.idleCallbackId = null;
+    }
+    
+    this.stopLongTaskObserver();
+    this.stopEventObserver();
+    
     console.log('⏹️ Performance monitoring stopped');
   }
 
+  /**
+   * Start observing long tasks and long animation frames
+   */
+  startLongTaskObserver() {
+    if (this.longTaskObserver || this.longTaskSupport.length === 0) return;
+    
+    this.longTaskObserver = new PerformanceObserver(list => this.recordLongTasks(list.getEntries()));
+    
+    // Each type needs its own observe() call when using the `type` option
+    this.longTaskSupport.forEach(type => {
+      try {
+        this.longTaskObserver.observe({ type, buffered: false });
+      } catch (error) {
+        console.warn(`⚠️ Long task type "${type}" could not be observed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Stop observing long tasks
+   */
+  stopLongTaskObserver() {
+    if (!this.longTaskObserver) return;
+    
+    this.flushLongTasks();
+    this.longTaskObserver.disconnect();
+    this.longTaskObserver = null;
+  }
+
+  /**
+   * Record long tasks queued but not yet delivered to the observer callback
+   */
+  flushLongTasks() {
+    if (this.longTaskObserver) {
+      this.recordLongTasks(this.longTaskObserver.takeRecords());
+    }
+  }
+
+  /**
+   * Record long task entries delivered by the PerformanceObserver
+   */
+  recordLongTasks(entries) {
+    entries.forEach(entry => {
+      const task = {
+        type: entry.entryType,
+        startTime: Math.round(entry.startTime),
+        duration: Math.round(entry.duration),
+        blockingDuration: entry.blockingDuration !== undefined ? Math.round(entry.blockingDuration) : null,
+        attribution: this.getLongTaskAttribution(entry)
+      };
+      
+      this.metrics.longTasks.push(task);
+      this.emit('longtask', task);
+    });
+    
+    // Keep only last 100 long task entries
+    if (this.metrics.longTasks.length > 100) {
+      this.metrics.longTasks.splice(0, this.metrics.longTasks.length - 100);
+    }
+  }
+
+  /**
+   * Extract script attribution from a long task entry
+   * 'long-animation-frame' entries carry per-script timing, 'longtask' entries only the container
+   */
+  getLongTaskAttribution(entry) {
+    if (entry.entryType === 'long-animation-frame') {
+      return (entry.scripts || []).map(script => ({
+        invoker: script.invoker,
+        invokerType: script.invokerType,
+        sourceURL: script.sourceURL,
+        sourceFunctionName: script.sourceFunctionName,
+        sourceCharPosition: script.sourceCharPosition,
+        duration: Math.round(script.duration)
+      }));
+    }
+    
+    return (entry.attribution || []).map(attribution => ({
+      name: attribution.name,
+      containerType: attribution.containerType,
+      containerSrc: attribution.containerSrc,
+      containerName: attribution.containerName
+    }));
+  }
+
+  /**
+   * Whether the browser reports Event Timing ('event') entries
+   */
+  static isEventTimingSupported() {
+    return typeof PerformanceObserver !== 'undefined' &&
+      Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+      PerformanceObserver.supportedEntryTypes.includes('event');
+  }
+
+  /**
+   * Observe Event Timing entries for interactions slower than EVENT_TIMING_THRESHOLD
+   */
+  startEventObserver() {
+    if (this.eventObserver || !this.eventTimingSupported) return;
+    
+    this.eventObserver = new PerformanceObserver(list => this.recordEventTimings(list.getEntries()));
+    
+    try {
+      this.eventObserver.observe({ type: 'event', durationThreshold: EVENT_TIMING_THRESHOLD, buffered: false });
+    } catch (error) {
+      console.warn('⚠️ Event Timing could not be observed:', error);
+      this.eventObserver = null;
+    }
+  }
+
+  /**
+   * Stop observing Event Timing entries
+   */
+  stopEventObserver() {
+    if (!this.eventObserver) return;
+    
+    this.flushEventTimings();
+    this.eventObserver.disconnect();
+    this.eventObserver = null;
+  }
+
+  /**
+   * Deliver Event Timing entries the observer has queued but not yet reported
+   */
+  flushEventTimings() {
+    if (this.eventObserver) {
+      this.recordEventTimings(this.eventObserver.takeRecords());
+    }
+  }
+
+  /**
+   * Record Event Timing entries as interactions
+   * Entries without an interactionId (e.g. mousemove) are not interactions; the events of one
+   * interaction (pointerdown, pointerup, click) share an id and count once, with the longest duration
+   */
+  recordEventTimings(entries) {
+    entries
+      .filter(entry => entry.interactionId > 0)
+      .forEach(entry => {
+        const interaction = {
+          id: entry.interactionId,
+          type: entry.name,
+          control: PerformanceMonitor.describeTarget(entry.target),
+          startTime: Math.round(entry.startTime),
+          duration: Math.round(entry.duration),
+          inputDelay: Math.round(entry.processingStart - entry.startTime),
+          processingTime: Math.round(entry.processingEnd - entry.processingStart),
+          presentationDelay: Math.round(entry.startTime + entry.duration - entry.processingEnd),
+          source: 'event-timing'
+        };
+        
+        const existing = this.metrics.interactions.find(item => item.source === 'event-timing' && item.id === interaction.id);
+        if (!existing) {
+          this.recordInteraction(interaction);
+        } else if (interaction.duration > existing.duration) {
+          Object.assign(existing, interaction);
+        }
+      });
+  }
+
+  /**
+   * Record one interaction; scripted tests call this directly because
+   * the Event Timing API ignores events dispatched from script
+   */
+  recordInteraction(interaction) {
+    this.metrics.interactions.push(interaction);
+    
+    if (this.metrics.interactions.length > INTERACTION_LIMIT) {
+      this.metrics.interactions.shift();
+    }
+    
+    this.emit('interaction', interaction);
+  }
+
+  /**
+   * Short label for the element an interaction targeted, e.g. '#playPath' or '.stagger-item'
+   */
+  static describeTarget(element) {
+    if (!element || !element.tagName) return 'unknown';
+    if (element.id) return `#${element.id}`;
+    if (element.classList && element.classList.length > 0) return `.${element.classList[0]}`;
+    return element.tagName.toLowerCase();
+  }
+
+  /**
+   * INP-style latency summary: worst and p98 interaction, overall and per control
+   */
+  getInteractionSummary(interactions = this.metrics.interactions) {
+    const summarize = items => {
+      const durations = items.map(item => item.duration).sort((a, b) => a - b);
+      
+      return {
+        count: durations.length,
+        worst: durations.length > 0 ? durations[durations.length - 1] : null,
+        p98: durations.length > 0 ? Math.round(percentile(durations, 98)) : null
+      };
+    };
+    
+    const byControl = {};
+    interactions.forEach(interaction => {
+      if (!byControl[interaction.control]) {
+        byControl[interaction.control] = [];
+      }
+      byControl[interaction.control].push(interaction);
+    });
+    
+    return {
+      supported: this.eventTimingSupported,
+      sources: [...new Set(interactions.map(interaction => interaction.source))],
+      ...summarize(interactions),
+      byControl: Object.fromEntries(Object.entries(byControl).map(([control, items]) => [control, summarize(items)]))
+    };
+  }
+
   /**
    * Update FPS metrics
    */
@@ -77,6 +537,8 @@ export class PerformanceMonitor {
     const fps = Math.round((this.frameCount * 1000) / deltaTime);
     
     this.metrics.fps.push(fps);
+    this.metricWindows.forEach(metricWindow => metricWindow.fps.push(fps));
+    this.addTimelineEntry(this.timeline.fps, { time: currentTime, fps });
     
     // Keep only last 60 FPS measurements
     if (this.metrics.fps.length > 60) {
@@ -86,96 +548,224 @@ export class PerformanceMonitor {
     this.frameCount = 0;
     this.lastTime = currentTime;
     
-    // Update FPS display
-    this.updateFPSDisplay(fps);
+    this.emit('fps', { fps, time: currentTime });
+    
+    this.updateCPUUsage(currentTime);
+    this.emit('sample', this.getPerformanceSummary());
   }
 
   /**
-   * Update memory metrics
+   * Sum idle time from requestIdleCallback deadlines while monitoring
+   * Each callback returns straight away, so timeRemaining() is time the main thread had nothing to do
    */
-  updateMemory() {
-    if (performance.memory) {
-      const memoryInfo = {
-        used: Math.round(performance.memory.usedJSHeapSize / 1024 / 1024),
-        total: Math.round(performance.memory.totalJSHeapSize / 1024 / 1024),
-        limit: Math.round(performance.memory.jsHeapSizeLimit / 1024 / 1024),
-        timestamp: Date.now()
-      };
-      
-      this.metrics.memory.push(memoryInfo);
-      
-      // Keep only last 30 memory measurements
-      if (this.metrics.memory.length > 30) {
-        this.metrics.memory.shift();
+  trackIdleTime() {
+    if (!this.isMonitoring || typeof requestIdleCallback !== 'function') return;
+    
+    this.idleCallbackId = requestIdleCallback((deadline) => {
+      this.busyWindow.idleTime += deadline.timeRemaining();
+      this.trackIdleTime();
+    });
+  }
+
+  /**
+   * Close the current busy window and record its main-thread busy percentage
+   */
+  updateCPUUsage(currentTime) {
+    const { start, idleTime, frameOverrun } = this.busyWindow;
+    const elapsed = currentTime - start;
+    if (elapsed <= 0) return;
+    
+    const longTaskTime = this.getLongTaskSummary(
+      this.metrics.longTasks.filter(task => task.startTime >= start && task.startTime < currentTime)
+    ).totalDuration;
+    
+    // Without requestIdleCallback (older Safari) only the blocking signals are available
+    const idleBusyTime = typeof requestIdleCallback === 'function' ? elapsed - idleTime : 0;
+    const busyTime = Math.min(elapsed, Math.max(idleBusyTime, longTaskTime, frameOverrun));
+    const cpuUsage = Math.round((busyTime / elapsed) * 100);
+    
+    this.metrics.cpuUsage = cpuUsage;
+    this.metrics.cpuBusy.push(cpuUsage);
+    
+    // Keep only last 60 CPU estimates
+    if (this.metrics.cpuBusy.length > 60) {
+      this.metrics.cpuBusy.shift();
+    }
+    
+    this.addTimelineEntry(this.timeline.cpu, { time: currentTime, busy: cpuUsage });
+    this.busyWindow = PerformanceMonitor.createBusyWindow();
+    
+    this.emit('cpu', {
+      busy: cpuUsage,
+      time: currentTime,
+      sources: {
+        idleBusyTime: Math.round(idleBusyTime),
+        longTaskTime: Math.round(longTaskTime),
+        frameOverrun: Math.round(frameOverrun)
       }
-      
-      // Update memory display
-      this.updateMemoryDisplay(memoryInfo);
+    });
+  }
+
+  /**
+   * Get used JS heap size in bytes, or null where performance.memory is unavailable
+   */
+  getUsedHeapSize() {
+    return performance.memory ? performance.memory.usedJSHeapSize : null;
+  }
+
+  /**
+   * Update memory metrics
+   * Every sample names its source; used is null when only the proxy counts are available
+   */
+  async updateMemory() {
+    const memoryInfo = await this.memoryProbe.measure();
+    
+    this.metrics.memory.push(memoryInfo);
+    
+    // Keep only last 30 memory measurements
+    if (this.metrics.memory.length > 30) {
+      this.metrics.memory.shift();
     }
+    
+    this.emit('memory', memoryInfo);
   }
 
   /**
-   * Measure frame time
+   * Measure frame time as the interval between consecutive frames
    */
   measureFrameTime() {
     if (!this.isMonitoring) return;
     
-    const frameStart = performance.now();
-    
-    requestAnimationFrame(() => {
-      const frameEnd = performance.now();
-      const frameTime = frameEnd - frameStart;
+    this.frameRequestId = requestAnimationFrame((timestamp) => {
+      if (this.lastFrameTimestamp !== null) {
+        this.recordFrameTime(timestamp - this.lastFrameTimestamp, timestamp);
+      }
       
-      this.metrics.frameTime.push(frameTime);
+      this.lastFrameTimestamp = timestamp;
       this.frameCount++;
       
-      // Keep only last 120 frame time measurements
-      if (this.metrics.frameTime.length > 120) {
-        this.metrics.frameTime.shift();
-      }
-      
       this.measureFrameTime();
     });
   }
 
   /**
-   * Update FPS display
+   * Record a frame interval and count dropped frames
    */
-  updateFPSDisplay(fps) {
-    const fpsElement = document.getElementById('fps');
-    if (fpsElement) {
-      fpsElement.textContent = fps;
-      
-      // Color coding based on performance
-      if (fps >= 55) {
-        fpsElement.style.color = '#10b981'; // Green
-      } else if (fps >= 30) {
-        fpsElement.style.color = '#f59e0b'; // Yellow
-      } else {
-        fpsElement.style.color = '#ef4444'; // Red
+  recordFrameTime(frameTime, timestamp = performance.now()) {
+    // rAF is paused in background tabs, so a huge gap is not a dropped frame
+    if (frameTime > 1000) return;
+    
+    this.addTimelineEntry(this.timeline.frames, { start: timestamp - frameTime, duration: frameTime });
+    
+    // Time a frame ran past its refresh interval counts towards the CPU busy estimate
+    if (this.metrics.refreshRate !== null) {
+      this.busyWindow.frameOverrun += Math.max(0, frameTime - 1000 / this.metrics.refreshRate);
+    }
+    
+    const droppedFrames = this.metrics.refreshRate !== null
+      ? countDroppedFrames([frameTime], this.metrics.refreshRate)
+      : 0;
+    
+    this.metricWindows.forEach(metricWindow => {
+      metricWindow.frameTime.push(frameTime);
+      metricWindow.droppedFrames += droppedFrames;
+    });
+    
+    this.metrics.frameTime.push(frameTime);
+    
+    // Keep only the rolling frame time window
+    if (this.metrics.frameTime.length > FRAME_TIME_WINDOW) {
+      this.metrics.frameTime.shift();
+    }
+    
+    if (this.metrics.refreshRate === null) {
+      if (this.metrics.frameTime.length >= REFRESH_DETECTION_FRAMES) {
+        this.metrics.refreshRate = detectRefreshRate(this.metrics.frameTime);
+        this.metrics.droppedFrames = countDroppedFrames(this.metrics.frameTime, this.metrics.refreshRate);
       }
+      return;
     }
+    
+    this.metrics.droppedFrames += droppedFrames;
   }
 
   /**
-   * Update memory display
+   * Start collecting an isolated metric window, e.g. for a single test
    */
-  updateMemoryDisplay(memoryInfo) {
-    const memoryElement = document.getElementById('memory');
-    if (memoryElement) {
-      memoryElement.textContent = `${memoryInfo.used}MB`;
-      
-      // Color coding based on memory usage
-      const usagePercent = (memoryInfo.used / memoryInfo.limit) * 100;
-      
-      if (usagePercent < 50) {
-        memoryElement.style.color = '#10b981'; // Green
-      } else if (usagePercent < 80) {
-        memoryElement.style.color = '#f59e0b'; // Yellow
-      } else {
-        memoryElement.style.color = '#ef4444'; // Red
-      }
-    }
+  startMetricWindow(name) {
+    const metricWindow = {
+      name,
+      startTime: performance.now(),
+      fps: [],
+      frameTime: [],
+      droppedFrames: 0,
+      heapStart: this.getUsedHeapSize()
+    };
+    
+    this.metricWindows.add(metricWindow);
+    
+    return metricWindow;
+  }
+
+  /**
+   * Stop a metric window and summarise the samples collected during it
+   */
+  endMetricWindow(metricWindow) {
+    this.flushLongTasks();
+    this.flushEventTimings();
+    this.metricWindows.delete(metricWindow);
+    
+    const endTime = performance.now();
+    const heapEnd = this.getUsedHeapSize();
+    const frameTimeStats = this.getFrameTimeStats(metricWindow.frameTime);
+    
+    // Derived from frame intervals, so windows shorter than one FPS sample still get a value
+    const totalFrameTime = metricWindow.frameTime.reduce((a, b) => a + b, 0);
+    const averageFPS = totalFrameTime > 0
+      ? Math.round((metricWindow.frameTime.length * 1000) / totalFrameTime)
+      : 0;
+    
+    const longTasks = this.metrics.longTasks.filter(task => 
+      task.startTime >= metricWindow.startTime && task.startTime <= endTime
+    );
+    const interactions = this.metrics.interactions.filter(interaction =>
+      interaction.startTime >= metricWindow.startTime && interaction.startTime <= endTime
+    );
+    
+    return {
+      name: metricWindow.name,
+      duration: Math.round(endTime - metricWindow.startTime),
+      averageFPS: averageFPS,
+      fpsSamples: metricWindow.fps,
+      frameCount: metricWindow.frameTime.length,
+      frameTimePercentiles: frameTimeStats.percentiles,
+      maxFrameTime: frameTimeStats.max,
+      droppedFrames: metricWindow.droppedFrames,
+      memoryDelta: metricWindow.heapStart !== null && heapEnd !== null
+        ? Math.round((heapEnd - metricWindow.heapStart) / 1024 / 1024 * 10) / 10
+        : null,
+      longTasks: this.getLongTaskSummary(longTasks),
+      interactions: this.getInteractionSummary(interactions),
+      performance: this.getPerformanceGrade(averageFPS, frameTimeStats)
+    };
+  }
+
+  /**
+   * Get frame time statistics for a series of frame intervals
+   */
+  getFrameTimeStats(frameTimes = this.metrics.frameTime) {
+    return {
+      percentiles: getPercentiles(frameTimes),
+      max: frameTimes.length > 0 ? Math.round(Math.max(...frameTimes) * 10) / 10 : 0,
+      samples: frameTimes.length
+    };
+  }
+
+  /**
+   * Get a histogram of the rolling frame time window
+   */
+  getFrameTimeHistogram(bucketSize = 4, maxValue = 100) {
+    return buildHistogram(this.metrics.frameTime, bucketSize, maxValue);
   }
 
   /**
@@ -194,27 +784,66 @@ export class PerformanceMonitor {
       ? this.metrics.memory[this.metrics.memory.length - 1]
       : null;
     
+    const frameTimeStats = this.getFrameTimeStats();
+    
     const totalTime = performance.now() - this.metrics.startTime;
+    const cpuBusy = this.metrics.cpuBusy;
     
     return {
       averageFPS: avgFPS,
       averageFrameTime: avgFrameTime,
+      frameTimePercentiles: frameTimeStats.percentiles,
+      maxFrameTime: frameTimeStats.max,
+      droppedFrames: this.metrics.droppedFrames,
+      refreshRate: this.metrics.refreshRate,
       currentMemory: currentMemory,
+      longTasks: this.getLongTaskSummary(),
+      interactions: this.getInteractionSummary(),
+      cpuUsage: {
+        latest: cpuBusy.length > 0 ? cpuBusy[cpuBusy.length - 1] : null,
+        average: cpuBusy.length > 0 ? Math.round(cpuBusy.reduce((a, b) => a + b, 0) / cpuBusy.length) : null,
+        samples: cpuBusy.length,
+        estimated: true,
+        note: CPU_ESTIMATE_NOTE
+      },
       animationCount: this.metrics.animationCount,
       totalTime: Math.round(totalTime / 1000),
-      performance: this.getPerformanceGrade(avgFPS, avgFrameTime)
+      performance: this.getPerformanceGrade(avgFPS, frameTimeStats)
+    };
+  }
+
+  /**
+   * Get long task summary
+   */
+  getLongTaskSummary(tasks = this.metrics.longTasks) {
+    // Both entry types describe the same blocking work, so totals use one of them only
+    const primaryType = this.longTaskSupport.includes('longtask') ? 'longtask' : 'long-animation-frame';
+    const primaryTasks = tasks.filter(task => task.type === primaryType);
+    const longFrames = tasks.filter(task => task.type === 'long-animation-frame');
+    const durations = primaryTasks.map(task => task.duration);
+    
+    return {
+      supported: this.longTaskSupport.length > 0,
+      entryTypes: this.longTaskSupport,
+      count: primaryTasks.length,
+      longAnimationFrameCount: longFrames.length,
+      totalDuration: durations.reduce((a, b) => a + b, 0),
+      longestDuration: durations.length > 0 ? Math.max(...durations) : 0
     };
   }
 
   /**
    * Get performance grade
+   * Graded on frame time percentiles so periodic hitches are not averaged away
    */
-  getPerformanceGrade(avgFPS, avgFrameTime) {
-    if (avgFPS >= 55 && avgFrameTime <= 16) {
+  getPerformanceGrade(avgFPS, frameTimeStats) {
+    const { p95, p99 } = frameTimeStats.percentiles;
+    
+    if (avgFPS >= 55 && p95 <= 20 && p99 <= 33 && frameTimeStats.max <= 50) {
       return { grade: 'A', color: '#10b981', description: 'Excellent' };
-    } else if (avgFPS >= 45 && avgFrameTime <= 22) {
+    } else if (avgFPS >= 45 && p95 <= 25 && p99 <= 50) {
       return { grade: 'B', color: '#f59e0b', description: 'Good' };
-    } else if (avgFPS >= 30 && avgFrameTime <= 33) {
+    } else if (avgFPS >= 30 && p95 <= 33 && p99 <= 100) {
       return { grade: 'C', color: '#f97316', description: 'Fair' };
     } else {
       return { grade: 'D', color: '#ef4444', description: 'Poor' };
@@ -224,8 +853,9 @@ export class PerformanceMonitor {
   /**
    * Increment animation count
    */
-  incrementAnimationCount() {
+  incrementAnimationCount(name = 'Animation start') {
     this.metrics.animationCount++;
+    this.addTimelineEntry(this.timeline.animationStarts, { time: performance.now(), name });
   }
 
   /**
@@ -247,12 +877,20 @@ export class PerformanceMonitor {
       loadTime: 0,
       animationCount: 0,
       frameTime: [],
+      droppedFrames: 0,
+      refreshRate: null,
+      longTasks: [],
+      interactions: [],
       cpuUsage: 0,
+      cpuBusy: [],
       startTime: performance.now()
     };
     
     this.frameCount = 0;
     this.lastTime = performance.now();
+    this.lastFrameTimestamp = null;
+    this.timeline = PerformanceMonitor.createTimeline();
+    this.busyWindow = PerformanceMonitor.createBusyWindow();
     
     console.log('🔄 Performance metrics reset');
   }
@@ -264,6 +902,8 @@ export class PerformanceMonitor {
     return {
       summary: this.getPerformanceSummary(),
       rawData: this.metrics,
+      frameTimeHistogram: this.getFrameTimeHistogram(),
+      longTaskSupport: this.longTaskSupport,
       timestamp: new Date().toISOString(),
       userAgent: navigator.userAgent,
       screenResolution: `${screen.width}x${screen.height}`,
@@ -280,82 +920,626 @@ export class AnimationPerformanceTester {
   constructor(monitor) {
     this.monitor = monitor;
     this.testResults = [];
-  }
-
-  /**
-   * Test scroll-triggered animations
-   */
-  async testScrollAnimations() {
-    const startTime = performance.now();
-    
-    // Get full page height
-    const pageHeight = Math.max(
-      document.body.scrollHeight,
-      document.body.offsetHeight,
-      document.documentElement.clientHeight,
-      document.documentElement.scrollHeight,
-      document.documentElement.offsetHeight
+    this.threeJSHook = null;
+    this.pathHook = null;
+    this.lifecycleHook = null;
+    this.stressHook = null;
+    this.triggerHook = null;
+    this.scenarios = new Map();
+    this.scenarioListeners = new Set();
+    this.runListeners = new Set();
+    this.progressListeners = new Set();
+    this.isRunningSeries = false;
+    this.signal = null;
+    this.progress = null;
+    this.currentScenario = null;
+    this.phases = [];
+    this.pageBudget = {};
+    this.load = null;
+    this.loadInjector = new LoadInjector();
+    this.loadBlocks = [];
+    this.scrollProfiles = Object.fromEntries(
+      Object.entries(SCROLL_PROFILES).map(([id, profile]) => [id, { ...profile }])
     );
     
-    // Detect if page has heavy animations
-    const hasHeavyAnimations = document.querySelectorAll('.particle, .orbital-element, .shape, .wave').length > 10;
-    const isDemoPage = window.location.pathname.includes('gsap-version') || window.location.pathname.includes('vanilla-version');
+    // Built-in scenarios, registered the same way as project-specific ones
+    this.registerScenario({
+      id: 'scrollAnimations',
+      name: 'Scroll Animations',
+      tags: ['builtin', 'scroll', 'dom'],
+      run: (context) => this.runScrollScenario(context, 'constant')
+    });
+    this.registerScenario({
+      id: 'scrollFling',
+      name: 'Scroll Fling',
+      tags: ['builtin', 'scroll', 'dom'],
+      run: (context) => this.runScrollScenario(context, 'fling')
+    });
+    this.registerScenario({
+      id: 'scrollAnchors',
+      name: 'Scroll Jump to Anchors',
+      tags: ['builtin', 'scroll', 'dom'],
+      run: (context) => this.runScrollScenario(context, 'jump')
+    });
+    this.registerScenario({
+      id: 'triggerAccuracy',
+      name: 'Trigger Accuracy',
+      tags: ['builtin', 'scroll', 'dom'],
+      run: (context) => this.runTriggerAccuracyScenario(context)
+    });
+    this.registerScenario({
+      id: 'staggerAnimations',
+      name: 'Stagger Animations',
+      tags: ['builtin', 'stagger', 'dom'],
+      run: (context) => this.runStaggerScenario(context)
+    });
+    this.registerScenario({
+      id: 'svgAnimations',
+      name: 'SVG Path Animations',
+      tags: ['builtin', 'svg', 'dom'],
+      run: (context) => this.runSVGScenario(context)
+    });
+    this.registerScenario({
+      id: 'threeJSAnimations',
+      name: 'ThreeJS Animations',
+      tags: ['builtin', 'threejs', 'webgl'],
+      run: () => this.runThreeJSScenario()
+    });
+    this.registerScenario({
+      id: 'interactionLatency',
+      name: 'Interaction Latency',
+      tags: ['builtin', 'interaction', 'dom'],
+      run: (context) => this.runInteractionScenario(context)
+    });
+    this.registerScenario({
+      id: 'leakCheck',
+      name: 'Leak Check',
+      tags: ['builtin', 'memory', 'lifecycle'],
+      run: () => this.runLeakScenario()
+    });
+    this.registerScenario({
+      id: 'stressRamp',
+      name: 'Stress Ramp',
+      tags: ['builtin', 'stress', 'dom'],
+      run: () => this.runStressRampScenario()
+    });
+  }
+
+  /**
+   * Register a test scenario
+   * setup(context) and teardown(context) are optional, run(context) resolves to result details.
+   * Page changes made through context.fixture are restored and verified after teardown.
+   * The ids summary, tests and budget are reserved for runAllTests() results.
+   * budget overrides the page budget for this scenario (see performance-budgets.js).
+   */
+  registerScenario({ id, name, setup, run, teardown, tags = [], budget = {} }) {
+    if (!id || typeof run !== 'function') {
+      throw new Error('Scenario needs an id and a run() function');
+    }
     
-    // Adjust scroll parameters based on page type
-    const scrollSteps = hasHeavyAnimations || isDemoPage 
-      ? Math.ceil(pageHeight / 200) // Fewer steps for heavy pages
-      : Math.ceil(pageHeight / 100); // More steps for light pages
+    if (RESERVED_SCENARIO_IDS.includes(id)) {
+      throw new Error(`Scenario id "${id}" is reserved`);
+    }
     
-    const stepDelay = hasHeavyAnimations || isDemoPage 
-      ? 300 // Longer delay for heavy pages
-      : 150; // Shorter delay for light pages
+    if (this.scenarios.has(id)) {
+      throw new Error(`Scenario "${id}" is already registered`);
+    }
     
-    console.log(`📜 Testing scroll animations: ${pageHeight}px height, ${scrollSteps} steps, ${stepDelay}ms delay`);
-    console.log(`📜 Page type: ${hasHeavyAnimations ? 'Heavy animations' : 'Light animations'}, ${isDemoPage ? 'Demo page' : 'Main page'}`);
+    this.scenarios.set(id, { id, name: name || id, setup, run, teardown, tags, budget: validateBudget(budget) });
+    this.notifyScenariosChanged();
     
-    // Simulate scroll events through entire page
-    for (let i = 0; i <= scrollSteps; i++) {
-      const scrollPosition = Math.min(i * (pageHeight / scrollSteps), pageHeight);
-      window.scrollTo({
-        top: scrollPosition,
-        behavior: 'smooth' // Use smooth scrolling for better performance
-      });
-      await this.wait(stepDelay);
+    return () => this.unregisterScenario(id);
+  }
+
+  /**
+   * Remove a registered scenario
+   */
+  unregisterScenario(id) {
+    if (this.scenarios.delete(id)) {
+      this.notifyScenariosChanged();
+    }
+  }
+
+  /**
+   * Get all registered scenarios in registration order
+   */
+  getScenarios() {
+    return Array.from(this.scenarios.values());
+  }
+
+  /**
+   * Select scenarios by id and/or tag; no selection means all scenarios
+   */
+  selectScenarios({ ids = [], tags = [] } = {}) {
+    if (ids.length === 0 && tags.length === 0) {
+      return this.getScenarios();
     }
     
-    // Scroll back to top
-    window.scrollTo({
-      top: 0,
-      behavior: 'smooth'
-    });
-    await this.wait(1000); // Longer wait for smooth scroll back
+    return this.getScenarios().filter(scenario => 
+      ids.includes(scenario.id) || scenario.tags.some(tag => tags.includes(tag))
+    );
+  }
+
+  /**
+   * Subscribe to scenario registry changes
+   */
+  onScenariosChange(listener) {
+    this.scenarioListeners.add(listener);
+    return () => this.scenarioListeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners that scenarios were added or removed
+   */
+  notifyScenariosChanged() {
+    this.scenarioListeners.forEach(listener => listener(this.getScenarios()));
+  }
+
+  /**
+   * Set the page budget, or a scenario's budget when scenarioId is given
+   * Scenario budgets override page budget keys they share
+   */
+  setBudget(budget, scenarioId = null) {
+    validateBudget(budget);
     
-    const endTime = performance.now();
-    const duration = endTime - startTime;
+    if (scenarioId === null) {
+      this.pageBudget = { ...budget };
+      return;
+    }
+    
+    const scenario = this.scenarios.get(scenarioId);
+    if (!scenario) {
+      throw new Error(`Unknown scenario "${scenarioId}"`);
+    }
+    
+    scenario.budget = { ...budget };
+  }
+
+  /**
+   * Effective budget for a scenario: page budget merged with the scenario's own
+   */
+  getBudget(scenarioId) {
+    const scenario = this.scenarios.get(scenarioId);
+    return { ...this.pageBudget, ...(scenario ? scenario.budget : {}) };
+  }
+
+  /**
+   * Subscribe to completed runs; returns an unsubscribe function
+   * Listeners receive { kind: 'tests' | 'series', selection, tests, scenarios }
+   */
+  onRunComplete(listener) {
+    this.runListeners.add(listener);
+    return () => this.runListeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners that a run or series finished
+   */
+  notifyRunComplete(run) {
+    this.runListeners.forEach(listener => listener(run));
+  }
+
+  /**
+   * Subscribe to progress while tests run; returns an unsubscribe function
+   * Listeners receive { scenario, name, step, run, completed, total, percent }
+   */
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  /**
+   * Notify listeners of the current scenario and step
+   * percent counts finished scenarios out of every scenario the run will execute
+   */
+  notifyProgress(step) {
+    if (!this.progress || !this.currentScenario) return;
+    
+    const { completed, total, run } = this.progress;
+    const progress = {
+      scenario: this.currentScenario.id,
+      name: this.currentScenario.name,
+      step: step,
+      run: run,
+      completed: completed,
+      total: total,
+      percent: total > 0 ? Math.round((completed / total) * 100) : 0
+    };
+    
+    this.progressListeners.forEach(listener => listener(progress));
+  }
+
+  /**
+   * Start counting progress for a run of total scenarios, unless an enclosing run already does
+   * Returns a function that stops counting, for the caller that started it
+   */
+  beginProgress(total) {
+    if (this.progress) return () => {};
+    
+    this.progress = { completed: 0, total: total, run: null };
+    return () => {
+      this.progress = null;
+    };
+  }
+
+  /**
+   * Label the iteration of a series that progress events belong to
+   */
+  setProgressRun(run) {
+    if (this.progress) {
+      this.progress.run = run;
+    }
+  }
+
+  /**
+   * Throw the abort reason if the current run was aborted
+   */
+  throwIfAborted() {
+    if (this.signal && this.signal.aborted) {
+      throw getAbortReason(this.signal);
+    }
+  }
+
+  /**
+   * Start a test phase span; returns a function that ends it
+   * Phases are recorded for trace export and as performance.mark/measure for native profiles.
+   * A recording profiler keeps the measure, so the entries are cleared from the performance buffer once it is taken
+   */
+  startPhase(name, category = 'scenario') {
+    const markName = `${PHASE_MARK_PREFIX}${name}`;
+    const start = performance.now();
+    
+    if (category !== 'scenario') {
+      this.notifyProgress(name);
+    }
+    
+    if (typeof performance.mark === 'function') {
+      performance.mark(`${markName}:start`);
+    }
+    
+    return () => {
+      const duration = performance.now() - start;
+      
+      if (typeof performance.measure === 'function') {
+        performance.mark(`${markName}:end`);
+        performance.measure(markName, `${markName}:start`, `${markName}:end`);
+        performance.clearMeasures(markName);
+      }
+      
+      if (typeof performance.clearMarks === 'function') {
+        performance.clearMarks(`${markName}:start`);
+        performance.clearMarks(`${markName}:end`);
+      }
+      
+      this.phases.push({ name, category, start, duration });
+      if (this.phases.length > TIMELINE_LIMIT) {
+        this.phases.shift();
+      }
+    };
+  }
+
+  /**
+   * Run a single scenario inside its own metric window
+   */
+  async runScenario(id) {
+    const scenario = this.scenarios.get(id);
+    if (!scenario) {
+      throw new Error(`Unknown scenario "${id}"`);
+    }
+    
+    const fixture = new DOMFixture();
+    const context = { monitor: this.monitor, tester: this, wait: ms => this.wait(ms), fixture, signal: this.signal };
+    const endProgress = this.beginProgress(1);
+    
+    this.throwIfAborted();
+    this.currentScenario = scenario;
+    this.notifyProgress('Starting');
+    
+    try {
+      return await this.measureScenario(scenario, context);
+    } finally {
+      this.currentScenario = null;
+      endProgress();
+    }
+  }
+
+  /**
+   * Set up, run and tear down one scenario and record its result
+   * Aborting still tears the scenario down and restores the page before the abort reason is thrown.
+   * A failing teardown never hides the scenario's own error: it is attached to that error as teardownError,
+   * or recorded on the result when the run itself succeeded
+   */
+  async measureScenario(scenario, context) {
+    const { fixture } = context;
+    
+    if (scenario.setup) {
+      try {
+        await scenario.setup(context);
+      } catch (error) {
+        fixture.restore();
+        throw error;
+      }
+    }
     
-    this.testResults.push({
-      test: 'Scroll Animations',
+    const startTime = performance.now();
+    this.monitor.emit('testStart', { id: scenario.id, test: scenario.name, time: startTime });
+    const metricWindow = this.monitor.startMetricWindow(scenario.name);
+    const endPhase = this.startPhase(scenario.name);
+    let details;
+    let metrics;
+    let load = null;
+    let runError = null;
+    let teardownError = null;
+    
+    this.loadInjector.start(this.load);
+    
+    try {
+      details = await scenario.run(context);
+    } catch (error) {
+      runError = error;
+      throw error;
+    } finally {
+      load = this.getLoadReport(this.loadInjector.stop(), startTime);
+      endPhase();
+      metrics = this.monitor.endMetricWindow(metricWindow);
+      
+      if (scenario.teardown) {
+        try {
+          await scenario.teardown(context);
+        } catch (error) {
+          teardownError = error;
+          console.warn(`⚠️ ${scenario.name} teardown failed:`, error);
+          
+          if (runError instanceof Error) {
+            runError.teardownError = error;
+          }
+        }
+      }
+      
+      fixture.restore();
+    }
+    
+    this.progress.completed++;
+    this.notifyProgress('Complete');
+    
+    const fixtureReport = fixture.verify();
+    if (!fixtureReport.clean) {
+      console.warn(`⚠️ ${scenario.name} left the page modified:`, [...fixtureReport.mismatches, ...fixtureReport.leaks]);
+    }
+    
+    const skipped = Boolean(details && details.skipped);
+    const duration = skipped ? 0 : performance.now() - startTime;
+    const budget = skipped ? null : evaluateBudget(this.getBudget(scenario.id), metrics);
+    
+    if (budget && !budget.passed) {
+      console.warn(`🚨 ${scenario.name} is over budget: ${budget.violations.map(describeViolation).join('; ')}`);
+    }
+    
+    const result = {
+      id: scenario.id,
+      test: scenario.name,
+      tags: scenario.tags,
       duration: Math.round(duration),
       timestamp: Date.now(),
-      details: {
-        pageHeight: pageHeight,
-        scrollSteps: scrollSteps,
-        stepDelay: stepDelay,
-        totalDistance: pageHeight * 2, // down and back up
-        pageType: hasHeavyAnimations ? 'Heavy' : 'Light',
-        isDemoPage: isDemoPage
-      }
-    });
+      metrics: metrics,
+      fixture: fixtureReport,
+      budget: budget,
+      load: load,
+      teardownError: teardownError ? { name: teardownError.name, message: teardownError.message } : null,
+      details: details
+    };
+    
+    this.testResults.push(result);
+    this.monitor.emit('testComplete', result);
     
     return duration;
   }
 
   /**
-   * Test stagger animations
+   * Run every following test under a synthetic main-thread load (see load-injector.js)
+   * Pass a LOAD_PROFILES name or { busy, every }; null turns the load off
    */
-  async testStaggerAnimations() {
-    const startTime = performance.now();
+  setLoad(load) {
+    this.load = normalizeLoad(load);
+    
+    return this.load;
+  }
+
+  /**
+   * Describe the load injected during one test, with jank recovery for interval loads
+   */
+  getLoadReport(report, startTime) {
+    if (!report) return null;
+    
+    const blocks = this.loadInjector.blocks;
+    this.loadBlocks.push(...blocks.map(block => ({ ...block, label: report.label })));
+    
+    // Per-frame loads never let the page settle, so there is nothing to recover from
+    if (report.every === 'frame') {
+      return { ...report, recovery: null };
+    }
+    
+    const frameBudget = 1000 / (this.monitor.metrics.refreshRate || 60) * 1.5;
+    const frames = this.monitor.timeline.frames.filter(frame => frame.start >= startTime);
+    
+    return { ...report, recovery: measureRecovery(blocks, frames, frameBudget) };
+  }
+
+  /**
+   * Register the ThreeJS scene hook exposed by a demo page
+   * The hook provides renderer, getState() => { rotationSpeed, animationScale, sphereCount, colors },
+   * setRotationSpeed, setAnimationScale, changeColor, setColors(colors), setSphereCount and onRender(listener) => unsubscribe
+   */
+  registerThreeJSHook(hook) {
+    this.threeJSHook = hook;
+    this.monitor.memoryProbe.setRenderer(hook.renderer);
+  }
+
+  /**
+   * Register the SVG path hook exposed by a demo page
+   * The hook provides getState() and setState(state) for the path animation the path buttons control
+   */
+  registerPathHook(hook) {
+    this.pathHook = hook;
+  }
+
+  /**
+   * Register the animation lifecycle hook exposed by a demo page
+   * The hook provides library, mount(), destroy() and optionally getCounters() => { tickers }
+   */
+  registerLifecycleHook(hook) {
+    this.lifecycleHook = hook;
+  }
+
+  /**
+   * Register the stress hook exposed by a demo page
+   * The hook provides library, setElementCount(count) and reset()
+   */
+  registerStressHook(hook) {
+    this.stressHook = hook;
+  }
+
+  /**
+   * Register the scroll trigger hook exposed by a demo page
+   * The hook provides library, getTriggers() => [{ id, label, intendedScroll }] measured from the
+   * current layout (intendedScroll null when the trigger can never fire) and onFire(listener) => unsubscribe,
+   * calling listener(id) synchronously from the engine's own callback
+   */
+  registerTriggerHook(hook) {
+    this.triggerHook = hook;
+  }
+
+  /**
+   * Change a scroll profile's settings, e.g. setScrollProfile('constant', { velocity: 800 })
+   */
+  setScrollProfile(id, settings) {
+    if (!this.scrollProfiles[id]) {
+      throw new Error(`Unknown scroll profile "${id}"; expected one of ${Object.keys(this.scrollProfiles).join(', ')}`);
+    }
+    
+    this.scrollProfiles[id] = { ...this.scrollProfiles[id], ...settings, type: SCROLL_PROFILES[id].type };
+    
+    return this.scrollProfiles[id];
+  }
+
+  /**
+   * Scroll the page with a ScrollDriver profile
+   * Frame timing in the details covers only the time the page was scrolling
+   */
+  async runScrollScenario({ fixture }, profileId) {
+    const profile = this.scrollProfiles[profileId];
+    const isDemoPage = window.location.pathname.includes('gsap-version') || window.location.pathname.includes('vanilla-version');
     
+    fixture.saveScrollPosition();
+    
+    // The driver sets a position every frame; CSS smooth scrolling would animate each one
+    fixture.setStyle(document.documentElement, 'scrollBehavior', 'auto');
+    
+    // Every run covers the same distance from the top
+    window.scrollTo(0, 0);
+    
+    const driver = new ScrollDriver({
+      refreshRate: this.monitor.metrics.refreshRate || 60,
+      signal: this.signal,
+      wait: ms => this.wait(ms),
+      startPhase: name => this.startPhase(name, 'scroll')
+    });
+    
+    console.log(`📜 Testing scroll animations: ${profile.label}, ${document.documentElement.scrollHeight}px page`);
+    
+    const result = await driver.run(profile);
+    
+    console.log(`📜 ${profile.label}: ${result.distance}px in ${result.scrollTime}ms, p95 ${result.frameTimePercentiles.p95}ms, ${result.jankFrames} janky frames`);
+    
+    return {
+      scrollDriven: true,
+      ...result,
+      pageHeight: document.documentElement.scrollHeight,
+      isDemoPage: isDemoPage
+    };
+  }
+
+  /**
+   * Scroll down past the page's triggers at each of TRIGGER_PASSES and record where and when each one fired
+   * Latency is measured from the start of the frame that first scrolled past the intended position
+   */
+  async runTriggerAccuracyScenario({ fixture }) {
+    const hook = this.triggerHook;
+    
+    if (!hook) {
+      console.log('🎯 No trigger hook registered on this page, skipping');
+      
+      return { skipped: true };
+    }
+    
+    fixture.saveScrollPosition();
+    fixture.setStyle(document.documentElement, 'scrollBehavior', 'auto');
+    
+    console.log(`🎯 Trigger accuracy (${hook.library})`);
+    
+    const passes = [];
+    let fires = [];
+    const unsubscribe = hook.onFire(id => {
+      fires.push({ id, y: window.scrollY, time: performance.now() });
+    });
+    
+    try {
+      for (const profile of TRIGGER_PASSES) {
+        // Start above every trigger and give the engine time to see it
+        window.scrollTo(0, 0);
+        await this.wait(TRIGGER_SETTLE_TIME);
+        
+        const triggers = hook.getTriggers();
+        const samples = [{ y: window.scrollY, time: performance.now() }];
+        const driver = new ScrollDriver({
+          refreshRate: this.monitor.metrics.refreshRate || 60,
+          signal: this.signal,
+          wait: ms => this.wait(ms),
+          startPhase: name => this.startPhase(`${profile.label}: ${name}`, 'scroll'),
+          onScroll: (y, time) => samples.push({ y, time })
+        });
+        
+        // Scroll one viewport past the last trigger rather than the whole page
+        const intended = triggers.filter(trigger => trigger.intendedScroll !== null).map(trigger => trigger.intendedScroll);
+        const target = Math.min(driver.getMaxScroll(), Math.max(0, ...intended) + window.innerHeight);
+        fires = [];
+        
+        if (profile.type === 'fling') {
+          await driver.flingTo(target, profile);
+        } else {
+          await driver.glide(target, profile.velocity);
+        }
+        
+        // IntersectionObserver reports after the frame it observed
+        await this.wait(TRIGGER_SETTLE_TIME);
+        
+        const measured = measureTriggerPass(triggers, samples, fires);
+        const missed = measured.filter(trigger => trigger.missed).length;
+        passes.push({ id: profile.id, label: profile.label, velocity: profile.velocity, triggers: measured });
+        
+        const outcomes = measured.map(trigger => {
+          if (!trigger.fired) return `${trigger.id} ${trigger.reached ? 'missed' : 'not reached'}`;
+          if (trigger.latency === null) return `${trigger.id} fired at ${trigger.firedAt}px`;
+          return `${trigger.id} ${trigger.positionError >= 0 ? '+' : ''}${trigger.positionError}px after ${trigger.latency}ms`;
+        });
+        console.log(`🎯 ${profile.label}: ${outcomes.join(', ')}${missed > 0 ? ` (${missed} missed)` : ''}`);
+      }
+    } finally {
+      unsubscribe();
+    }
+    
+    return {
+      library: hook.library,
+      triggerAccuracy: true,
+      passes: passes,
+      summary: summarizeTriggerAccuracy(passes)
+    };
+  }
+
+  /**
+   * Run stagger animations
+   */
+  async runStaggerScenario({ fixture }) {
     // Find all possible stagger elements
     const staggerSelectors = [
       '.stagger-item',
@@ -379,10 +1563,6 @@ export class AnimationPerformanceTester {
     if (allElements.length === 0) {
       console.log('🎯 No stagger elements found, creating test elements');
       const testContainer = document.createElement('div');
-      testContainer.style.position = 'fixed';
-      testContainer.style.top = '-1000px';
-      testContainer.style.left = '-1000px';
-      testContainer.style.zIndex = '-1';
       
       for (let i = 0; i < 20; i++) {
         const testElement = document.createElement('div');
@@ -397,7 +1577,7 @@ export class AnimationPerformanceTester {
         allElements.push(testElement);
       }
       
-      document.body.appendChild(testContainer);
+      fixture.mount(testContainer);
     }
     
     // Detect if page has heavy animations
@@ -412,47 +1592,29 @@ export class AnimationPerformanceTester {
     
     // Trigger stagger animations
     allElements.forEach((el, index) => {
-      setTimeout(() => {
-        el.classList.add('animate-in');
-        el.style.transition = 'all 0.6s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
-        el.style.opacity = '1';
-        el.style.transform = 'translateY(0)';
+      fixture.schedule(() => {
+        fixture.addClass(el, 'animate-in');
+        fixture.setStyle(el, 'transition', 'all 0.6s cubic-bezier(0.25, 0.46, 0.45, 0.94)');
+        fixture.setStyle(el, 'opacity', '1');
+        fixture.setStyle(el, 'transform', 'translateY(0)');
       }, index * staggerDelay);
     });
     
     // Wait for all animations to complete
     await this.wait(allElements.length * staggerDelay + 1000);
     
-    // Clean up test elements
-    const testContainer = document.querySelector('div[style*="-1000px"]');
-    if (testContainer) {
-      document.body.removeChild(testContainer);
-    }
-    
-    const endTime = performance.now();
-    const duration = endTime - startTime;
-    
-    this.testResults.push({
-      test: 'Stagger Animations',
-      duration: Math.round(duration),
-      timestamp: Date.now(),
-      details: {
-        elementCount: allElements.length,
-        staggerDelay: staggerDelay,
-        pageType: hasHeavyAnimations ? 'Heavy' : 'Light',
-        isDemoPage: isDemoPage
-      }
-    });
-    
-    return duration;
+    return {
+      elementCount: allElements.length,
+      staggerDelay: staggerDelay,
+      pageType: hasHeavyAnimations ? 'Heavy' : 'Light',
+      isDemoPage: isDemoPage
+    };
   }
 
   /**
-   * Test SVG path animations
+   * Run SVG path animations
    */
-  async testSVGAnimations() {
-    const startTime = performance.now();
-    
+  async runSVGScenario({ fixture }) {
     // Find all possible SVG elements
     const svgSelectors = [
       '.draw-path',
@@ -472,16 +1634,15 @@ export class AnimationPerformanceTester {
       }
     });
     
+    // Selectors overlap ('.draw-path' is also 'svg path'), animate each element once
+    svgElements = [...new Set(svgElements)];
+    
     // If no SVG elements found, create a test SVG
     if (svgElements.length === 0) {
       console.log('🖼️ No SVG elements found, creating test SVG');
       const testSVG = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
       testSVG.setAttribute('width', '200');
       testSVG.setAttribute('height', '100');
-      testSVG.style.position = 'fixed';
-      testSVG.style.top = '-1000px';
-      testSVG.style.left = '-1000px';
-      testSVG.style.zIndex = '-1';
       
       const testPath = document.createElementNS('http://www.w3.org/2000/svg', 'path');
       testPath.setAttribute('d', 'M10 50 Q100 10 190 50');
@@ -493,7 +1654,7 @@ export class AnimationPerformanceTester {
       testPath.classList.add('draw-path');
       
       testSVG.appendChild(testPath);
-      document.body.appendChild(testSVG);
+      fixture.mount(testSVG);
       svgElements.push(testPath);
     }
     
@@ -509,21 +1670,21 @@ export class AnimationPerformanceTester {
     
     // Trigger SVG animations
     svgElements.forEach((element, index) => {
-      setTimeout(() => {
+      fixture.schedule(() => {
         if (element.tagName === 'path' || element.tagName === 'line') {
           // Animate stroke-dashoffset for paths and lines
-          element.style.transition = 'stroke-dashoffset 2s ease-in-out';
-          element.style.strokeDashoffset = '0';
+          fixture.setStyle(element, 'transition', 'stroke-dashoffset 2s ease-in-out');
+          fixture.setStyle(element, 'strokeDashoffset', '0');
         } else if (element.tagName === 'circle') {
           // Animate radius for circles
-          element.style.transition = 'r 1.5s ease-in-out';
+          fixture.setStyle(element, 'transition', 'r 1.5s ease-in-out');
           const currentRadius = element.getAttribute('r') || 10;
-          element.setAttribute('r', currentRadius * 2);
+          fixture.setAttribute(element, 'r', currentRadius * 2);
         } else if (element.tagName === 'rect') {
           // Animate width for rectangles
-          element.style.transition = 'width 1.5s ease-in-out';
+          fixture.setStyle(element, 'transition', 'width 1.5s ease-in-out');
           const currentWidth = element.getAttribute('width') || 50;
-          element.setAttribute('width', currentWidth * 1.5);
+          fixture.setAttribute(element, 'width', currentWidth * 1.5);
         }
       }, index * animationDelay);
     });
@@ -531,66 +1692,680 @@ export class AnimationPerformanceTester {
     // Wait for animations to complete
     await this.wait(svgElements.length * animationDelay + 2500);
     
-    // Clean up test SVG
-    const testSVG = document.querySelector('svg[style*="-1000px"]');
-    if (testSVG) {
-      document.body.removeChild(testSVG);
+    return {
+      elementCount: svgElements.length,
+      elementTypes: [...new Set(svgElements.map(el => el.tagName))],
+      animationDelay: animationDelay,
+      pageType: hasHeavyAnimations ? 'Heavy' : 'Light',
+      isDemoPage: isDemoPage
+    };
+  }
+
+  /**
+   * Run ThreeJS animations through the demo's scene hook
+   */
+  async runThreeJSScenario() {
+    const hook = this.threeJSHook;
+    
+    if (!hook) {
+      console.log('🎲 No ThreeJS scene registered on this page, skipping');
+      
+      return { skipped: true };
     }
     
-    const endTime = performance.now();
-    const duration = endTime - startTime;
+    const initialState = hook.getState();
+    const phaseDuration = 1500;
+    const phases = [
+      { name: 'Baseline', apply: () => {} },
+      ...[0.5, 2, 5, 10].map(speed => ({ name: `Rotation ${speed}x`, apply: () => hook.setRotationSpeed(speed) })),
+      ...[0.5, 1.5, 3].map(scale => ({ name: `Scale ${scale}x`, apply: () => hook.setAnimationScale(scale) })),
+      { name: 'Color change', apply: () => hook.changeColor() },
+      ...[16, 32, 64, 128].map(count => ({ name: `${count} spheres`, apply: () => hook.setSphereCount(count) }))
+    ];
     
-    this.testResults.push({
-      test: 'SVG Path Animations',
-      duration: Math.round(duration),
-      timestamp: Date.now(),
-      details: {
-        elementCount: svgElements.length,
-        elementTypes: [...new Set(svgElements.map(el => el.tagName))],
-        animationDelay: animationDelay,
-        pageType: hasHeavyAnimations ? 'Heavy' : 'Light',
-        isDemoPage: isDemoPage
+    console.log(`🎲 Testing ThreeJS animations (${hook.library}): ${phases.length} phases, ${phaseDuration}ms each`);
+    
+    const phaseResults = [];
+    
+    try {
+      for (const phase of phases) {
+        const frames = [];
+        const unsubscribe = hook.onRender(frame => frames.push(frame));
+        const endPhase = this.startPhase(`ThreeJS: ${phase.name}`, 'threejs-phase');
+        
+        try {
+          phase.apply();
+          await this.wait(phaseDuration);
+        } finally {
+          endPhase();
+          unsubscribe();
+        }
+        
+        phaseResults.push(this.summarizeRenderPhase(phase.name, frames, hook.renderer.info));
+      }
+    } finally {
+      // Restore the scene to how the test found it
+      hook.setSphereCount(initialState.sphereCount);
+      hook.setRotationSpeed(initialState.rotationSpeed);
+      hook.setAnimationScale(initialState.animationScale);
+      hook.setColors(initialState.colors);
+    }
+    
+    return {
+      library: hook.library,
+      phaseDuration: phaseDuration,
+      phases: phaseResults
+    };
+  }
+
+  /**
+   * Summarise render loop frames and renderer.info for one ThreeJS test phase
+   */
+  summarizeRenderPhase(name, frames, rendererInfo) {
+    const frameTimes = frames.map(frame => frame.frameTime);
+    const renderTimes = frames.map(frame => frame.renderTime);
+    
+    return {
+      phase: name,
+      frames: frames.length,
+      frameTimePercentiles: getPercentiles(frameTimes),
+      renderTimePercentiles: getPercentiles(renderTimes),
+      drawCalls: rendererInfo.render.calls,
+      triangles: rendererInfo.render.triangles,
+      geometries: rendererInfo.memory.geometries,
+      textures: rendererInfo.memory.textures
+    };
+  }
+
+  /**
+   * Click the path and color buttons, drag the sliders and hover stagger items while the page animates
+   * The Event Timing API ignores events dispatched from script, so each interaction is timed here
+   * from dispatch to the next frame and recorded with source 'scripted'
+   */
+  async runInteractionScenario({ fixture }) {
+    const buttons = ['playPath', 'reversePath', 'restartPath', 'changeColor']
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    const sliders = ['rotationSpeed', 'animationScale']
+      .map(id => document.getElementById(id))
+      .filter(Boolean);
+    const hoverItems = Array.from(document.querySelectorAll('.stagger-item')).slice(0, 4);
+    
+    if (buttons.length + sliders.length + hoverItems.length === 0) {
+      console.log('👆 No interactive controls on this page, skipping');
+      
+      return { skipped: true };
+    }
+    
+    console.log(`👆 Testing interactions: ${buttons.length} buttons, ${sliders.length} sliders, ${hoverItems.length} hover items`);
+    
+    fixture.saveScrollPosition();
+    const initialSliderValues = sliders.map(slider => slider.value);
+    const initialColors = this.threeJSHook ? this.threeJSHook.getState().colors : null;
+    const initialPathState = this.pathHook ? this.pathHook.getState() : null;
+    let count = 0;
+    
+    const measure = async (element, type, dispatch) => {
+      const startTime = performance.now();
+      dispatch();
+      const processingEnd = performance.now();
+      await this.waitForNextPaint();
+      const endTime = performance.now();
+      
+      this.monitor.recordInteraction({
+        id: null,
+        type: type,
+        control: PerformanceMonitor.describeTarget(element),
+        startTime: Math.round(startTime),
+        duration: Math.round(endTime - startTime),
+        inputDelay: 0,
+        processingTime: Math.round(processingEnd - startTime),
+        presentationDelay: Math.round(endTime - processingEnd),
+        source: 'scripted'
+      });
+      count++;
+    };
+    
+    const bringIntoView = async (element) => {
+      element.scrollIntoView({ block: 'center' });
+      await this.wait(INTERACTION_PAUSE);
+    };
+    
+    try {
+      for (const button of buttons) {
+        await bringIntoView(button);
+        await measure(button, 'click', () => {
+          dispatchPointerEvent(button, 'pointerdown');
+          dispatchPointerEvent(button, 'pointerup');
+          button.click();
+        });
+      }
+      
+      for (const slider of sliders) {
+        await bringIntoView(slider);
+        
+        const min = parseFloat(slider.min) || 0;
+        const max = parseFloat(slider.max) || 100;
+        
+        dispatchPointerEvent(slider, 'pointerdown');
+        for (let step = 1; step <= INTERACTION_DRAG_STEPS; step++) {
+          await measure(slider, 'input', () => {
+            slider.value = String(min + ((max - min) * step) / INTERACTION_DRAG_STEPS);
+            slider.dispatchEvent(new Event('input', { bubbles: true }));
+          });
+        }
+        dispatchPointerEvent(slider, 'pointerup');
+      }
+      
+      for (const item of hoverItems) {
+        await bringIntoView(item);
+        await measure(item, 'mouseenter', () => {
+          item.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+          item.dispatchEvent(new MouseEvent('mouseenter'));
+        });
+        await this.wait(INTERACTION_PAUSE);
+        await measure(item, 'mouseleave', () => {
+          item.dispatchEvent(new MouseEvent('mouseout', { bubbles: true }));
+          item.dispatchEvent(new MouseEvent('mouseleave'));
+        });
+      }
+    } finally {
+      // Put the scene back the way the sliders had it
+      sliders.forEach((slider, index) => {
+        slider.value = initialSliderValues[index];
+        slider.dispatchEvent(new Event('input', { bubbles: true }));
+      });
+      
+      // Undo the color and path buttons
+      if (initialColors) {
+        this.threeJSHook.setColors(initialColors);
+      }
+      if (initialPathState) {
+        this.pathHook.setState(initialPathState);
       }
+    }
+    
+    return {
+      source: 'scripted',
+      interactionCount: count,
+      controls: [...buttons, ...sliders].map(element => `#${element.id}`).concat(hoverItems.length > 0 ? ['.stagger-item'] : [])
+    };
+  }
+
+  /**
+   * Resolve once the next frame has been produced: a task queued from requestAnimationFrame
+   * runs after that frame's rendering
+   */
+  waitForNextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  }
+
+  /**
+   * Mount and destroy the demo's animations repeatedly and flag metrics that keep growing
+   * Growth is the least-squares slope per cycle of samples taken after each destroy
+   */
+  async runLeakScenario() {
+    const hook = this.lifecycleHook;
+    
+    if (!hook) {
+      console.log('🧪 No animation lifecycle registered on this page, skipping');
+      
+      return { skipped: true };
+    }
+    
+    console.log(`🧪 Leak check (${hook.library}): ${LEAK_CHECK_CYCLES} mount/destroy cycles`);
+    
+    // Timers and listeners are only counted from here on; the wrappers are removed again below
+    this.monitor.memoryProbe.startTracking();
+    const samples = [];
+    
+    try {
+      // Start from a destroyed page so the first sample is a clean baseline
+      hook.destroy();
+      await this.wait(LEAK_CHECK_SETTLE_TIME);
+      samples.push(await this.sampleLeakMetrics(0, hook));
+      
+      for (let cycle = 1; cycle <= LEAK_CHECK_CYCLES; cycle++) {
+        const endPhase = this.startPhase(`Leak cycle ${cycle}`, 'leak-check');
+        
+        hook.mount();
+        await this.wait(LEAK_CHECK_MOUNT_TIME);
+        hook.destroy();
+        await this.wait(LEAK_CHECK_SETTLE_TIME);
+        endPhase();
+        
+        samples.push(await this.sampleLeakMetrics(cycle, hook));
+      }
+    } finally {
+      // Leave the page animated the way the test found it
+      hook.mount();
+      this.monitor.memoryProbe.stopTracking();
+    }
+    
+    const growth = {};
+    Object.entries(LEAK_THRESHOLDS).forEach(([metric, threshold]) => {
+      const slope = linearSlope(samples.map(sample => sample[metric]));
+      if (slope === null) return;
+      
+      growth[metric] = {
+        slope: Math.round(slope * 100) / 100,
+        threshold: threshold,
+        start: samples[0][metric],
+        end: samples[samples.length - 1][metric],
+        leaking: slope > threshold
+      };
     });
     
-    return duration;
+    const leaks = Object.keys(growth).filter(metric => growth[metric].leaking);
+    if (leaks.length > 0) {
+      console.warn(`🚰 ${hook.library} leaks across mount/destroy cycles: ${leaks.map(metric =>
+        `${metric} +${growth[metric].slope}/cycle`).join(', ')}`);
+    }
+    
+    return {
+      library: hook.library,
+      leakCheck: true,
+      cycles: LEAK_CHECK_CYCLES,
+      mountTime: LEAK_CHECK_MOUNT_TIME,
+      memorySource: samples[samples.length - 1].memorySource,
+      samples: samples,
+      growth: growth,
+      leaks: leaks
+    };
+  }
+
+  /**
+   * Heap, DOM node, timer, ticker and listener counts after a leak check cycle
+   * Heap is null outside Chromium and where no byte-level memory source is available
+   */
+  async sampleLeakMetrics(cycle, hook) {
+    // Only exposed when Chrome runs with --js-flags=--expose-gc; makes heap samples far less noisy
+    if (typeof window.gc === 'function') {
+      window.gc();
+    }
+    
+    const memory = await this.monitor.memoryProbe.measure();
+    const heapBytes = this.monitor.getUsedHeapSize();
+    const counters = hook.getCounters ? hook.getCounters() : {};
+    
+    return {
+      cycle: cycle,
+      memorySource: heapBytes !== null ? 'performance.memory' : memory.source,
+      heapMB: heapBytes !== null ? Math.round(heapBytes / 1024 / 1024 * 10) / 10 : memory.used,
+      domNodes: memory.proxies.domNodes,
+      timers: memory.proxies.timers,
+      intervals: memory.proxies.intervals,
+      listeners: memory.proxies.listeners,
+      tickers: counters.tickers !== undefined ? counters.tickers : null
+    };
+  }
+
+  /**
+   * Add animated elements in steps until the sustained p95 frame time exceeds STRESS_FRAME_BUDGET
+   * maxElements is the largest count that stayed within budget; curve holds every measured step
+   */
+  async runStressRampScenario() {
+    const hook = this.stressHook;
+    
+    if (!hook) {
+      console.log('🧪 No stress hook registered on this page, skipping');
+      
+      return { skipped: true };
+    }
+    
+    console.log(`🧪 Stress ramp (${hook.library}): p95 frame time budget ${STRESS_FRAME_BUDGET}ms`);
+    
+    const curve = [];
+    let count = STRESS_RAMP_START;
+    
+    try {
+      while (count <= STRESS_RAMP_MAX) {
+        hook.setElementCount(count);
+        await this.wait(STRESS_RAMP_SETTLE_TIME);
+        
+        const endPhase = this.startPhase(`Stress ${count} elements`, 'stress-ramp');
+        const metricWindow = this.monitor.startMetricWindow(`Stress ${count}`);
+        await this.wait(STRESS_RAMP_STEP_TIME);
+        const metrics = this.monitor.endMetricWindow(metricWindow);
+        endPhase();
+        
+        const p95FrameTime = metrics.frameTimePercentiles.p95;
+        const passed = metrics.frameCount > 0 && p95FrameTime <= STRESS_FRAME_BUDGET;
+        
+        curve.push({
+          count: count,
+          p95FrameTime: p95FrameTime,
+          averageFPS: metrics.averageFPS,
+          passed: passed
+        });
+        
+        if (!passed) break;
+        count = Math.ceil(count * STRESS_RAMP_GROWTH);
+      }
+    } finally {
+      hook.reset();
+    }
+    
+    const passing = curve.filter(step => step.passed);
+    const maxElements = passing.length > 0 ? passing[passing.length - 1].count : 0;
+    const limitReached = curve.length > 0 && !curve[curve.length - 1].passed;
+    
+    console.log(limitReached
+      ? `📈 ${hook.library} holds 60fps up to ${maxElements} elements`
+      : `📈 ${hook.library} held 60fps at every step up to ${maxElements} elements`);
+    
+    return {
+      library: hook.library,
+      stressRamp: true,
+      frameBudget: STRESS_FRAME_BUDGET,
+      maxElements: maxElements,
+      limitReached: limitReached,
+      curve: curve
+    };
+  }
+
+  /**
+   * Test scroll-triggered animations
+   */
+  async testScrollAnimations() {
+    return this.runScenario('scrollAnimations');
+  }
+
+  /**
+   * Test scrolling with repeated decelerating flings
+   */
+  async testScrollFling() {
+    return this.runScenario('scrollFling');
+  }
+
+  /**
+   * Test jumping straight to each section anchor
+   */
+  async testScrollAnchors() {
+    return this.runScenario('scrollAnchors');
+  }
+
+  /**
+   * Test where and when scroll triggers fire against their intended lines
+   */
+  async testTriggerAccuracy() {
+    return this.runScenario('triggerAccuracy');
+  }
+
+  /**
+   * Test stagger animations
+   */
+  async testStaggerAnimations() {
+    return this.runScenario('staggerAnimations');
+  }
+
+  /**
+   * Test SVG path animations
+   */
+  async testSVGAnimations() {
+    return this.runScenario('svgAnimations');
+  }
+
+  /**
+   * Test ThreeJS animations
+   */
+  async testThreeJSAnimations() {
+    return this.runScenario('threeJSAnimations');
+  }
+
+  /**
+   * Test interaction latency of the page's controls
+   */
+  async testInteractionLatency() {
+    return this.runScenario('interactionLatency');
+  }
+
+  /**
+   * Test animations for leaks across mount/destroy cycles
+   */
+  async testLeakCheck() {
+    return this.runScenario('leakCheck');
+  }
+
+  /**
+   * Test how many animated elements the page sustains at 60fps
+   */
+  async testStressRamp() {
+    return this.runScenario('stressRamp');
   }
 
   /**
    * Run all performance tests
+   * Pass { ids, tags } to run only a subset of the registered scenarios.
+   * Pass signal (an AbortSignal) to stop early: the running scenario is torn down, its page
+   * changes are restored and the run rejects with the abort reason
    */
-  async runAllTests() {
-    console.log('🧪 Starting performance tests...');
+  async runAllTests({ signal = null, ...selection } = {}) {
+    const scenarios = this.selectScenarios(selection);
+    
+    console.log(`🧪 Starting performance tests: ${scenarios.map(scenario => scenario.id).join(', ')}` +
+      (this.load ? ` under load: ${this.load.label}` : ''));
     
+    const endProgress = this.beginProgress(scenarios.length);
+    const previousSignal = this.signal;
+    this.signal = signal || previousSignal;
     this.monitor.startMonitoring();
     
-    const results = {
-      scrollAnimations: await this.testScrollAnimations(),
-      staggerAnimations: await this.testStaggerAnimations(),
-      svgAnimations: await this.testSVGAnimations(),
-      summary: this.monitor.getPerformanceSummary()
+    const firstResultIndex = this.testResults.length;
+    const results = {};
+    
+    try {
+      for (const scenario of scenarios) {
+        results[scenario.id] = await this.runScenario(scenario.id);
+      }
+    } catch (error) {
+      this.monitor.stopMonitoring();
+      
+      if (this.signal && this.signal.aborted) {
+        console.log('⏹️ Performance tests aborted');
+      }
+      throw error;
+    } finally {
+      this.signal = previousSignal;
+      endProgress();
+    }
+    
+    results.summary = this.monitor.getPerformanceSummary();
+    
+    // Per-test metric windows from this run only
+    results.tests = this.testResults.slice(firstResultIndex);
+    
+    // A run passes its budgets when no test violated its own budget
+    const overBudget = results.tests.filter(result => result.budget && !result.budget.passed);
+    results.budget = {
+      passed: overBudget.length === 0,
+      failed: overBudget.map(result => result.id)
     };
     
     this.monitor.stopMonitoring();
     
     // Log detailed results
     console.log('📊 Performance Test Results:');
-    this.testResults.forEach(result => {
-      console.log(`  ${result.test}: ${result.duration}ms`);
+    results.tests.forEach(result => {
+      console.log(`  ${result.test}: ${result.duration}ms, ${result.metrics.averageFPS} FPS, grade ${result.metrics.performance.grade}`);
       if (result.details) {
         console.log(`    Details:`, result.details);
       }
     });
     
     console.log('✅ Performance tests completed', results);
+    
+    // Runs inside a series are reported once, as part of the series
+    if (!this.isRunningSeries) {
+      this.notifyRunComplete({
+        kind: 'tests',
+        selection: selection,
+        load: this.load ? this.load.label : null,
+        tests: results.tests,
+        scenarios: this.aggregateRuns([results])
+      });
+    }
+    
     return results;
   }
 
+  /**
+   * Run the selected scenarios repeatedly
+   * Warmup runs are discarded, measured runs are summarised per scenario and metric.
+   * signal aborts the whole series, as in runAllTests
+   */
+  async runIterations({ warmup = 1, iterations = 5, ids, tags, signal = null } = {}) {
+    const selection = { ids, tags };
+    
+    console.log(`🔁 Running ${warmup} warmup + ${iterations} measured iterations`);
+    
+    const runs = [];
+    const endProgress = this.beginProgress((warmup + iterations) * this.selectScenarios(selection).length);
+    this.isRunningSeries = true;
+    
+    try {
+      for (let i = 0; i < warmup; i++) {
+        const firstResultIndex = this.testResults.length;
+        this.setProgressRun(`Warmup ${i + 1} of ${warmup}`);
+        
+        try {
+          await this.runAllTests({ ...selection, signal });
+        } finally {
+          // Warmup results are discarded, also when the run was aborted
+          this.testResults.splice(firstResultIndex);
+        }
+      }
+      
+      for (let i = 0; i < iterations; i++) {
+        this.setProgressRun(`Run ${i + 1} of ${iterations}`);
+        runs.push(await this.runAllTests({ ...selection, signal }));
+      }
+    } finally {
+      this.isRunningSeries = false;
+      endProgress();
+    }
+    
+    const series = {
+      warmup: warmup,
+      iterations: iterations,
+      timestamp: Date.now(),
+      scenarios: this.aggregateRuns(runs),
+      runs: runs
+    };
+    
+    console.log('📈 Iteration statistics:', series.scenarios);
+    
+    if (iterations > 0) {
+      this.notifyRunComplete({
+        kind: 'series',
+        selection: selection,
+        load: this.load ? this.load.label : null,
+        warmup: warmup,
+        iterations: iterations,
+        tests: runs.flatMap(run => run.tests),
+        scenarios: series.scenarios
+      });
+    }
+    
+    return series;
+  }
+
+  /**
+   * Summarise each scenario's metrics across runs
+   */
+  aggregateRuns(runs) {
+    const scenarios = {};
+    
+    runs.forEach(run => {
+      run.tests
+        .filter(result => !(result.details && result.details.skipped))
+        .forEach(result => {
+          if (!scenarios[result.id]) {
+            scenarios[result.id] = { name: result.test, results: [] };
+          }
+          scenarios[result.id].results.push(result);
+        });
+    });
+    
+    return Object.fromEntries(Object.entries(scenarios).map(([id, { name, results }]) => {
+      const metrics = {};
+      
+      Object.entries(ITERATION_METRICS).forEach(([metric, read]) => {
+        const values = results.map(read).filter(value => value !== null && value !== undefined);
+        if (values.length > 0) {
+          metrics[metric] = summarizeSamples(values);
+        }
+      });
+      
+      const stressResults = results.filter(result => result.details && result.details.stressRamp);
+      const capacity = stressResults.length > 0 ? this.aggregateCapacity(stressResults) : null;
+      
+      return [id, capacity ? { name, runs: results.length, metrics, capacity } : { name, runs: results.length, metrics }];
+    }));
+  }
+
+  /**
+   * Capacity curve across stress ramp runs: mean p95 frame time per element count
+   */
+  aggregateCapacity(results) {
+    const steps = new Map();
+    
+    results.forEach(result => {
+      result.details.curve.forEach(step => {
+        if (!steps.has(step.count)) {
+          steps.set(step.count, []);
+        }
+        steps.get(step.count).push(step.p95FrameTime);
+      });
+    });
+    
+    const curve = [...steps.entries()]
+      .sort(([countA], [countB]) => countA - countB)
+      .map(([count, frameTimes]) => ({
+        count: count,
+        p95FrameTime: Math.round(mean(frameTimes) * 100) / 100,
+        runs: frameTimes.length
+      }));
+    
+    return {
+      frameBudget: results[0].details.frameBudget,
+      maxElements: summarizeSamples(results.map(result => result.details.maxElements)),
+      curve: curve
+    };
+  }
+
+  /**
+   * Compare two iteration series (e.g. GSAP vs Vanilla) with Welch's t-test
+   * Differences are seriesA - seriesB
+   */
+  compareIterationResults(seriesA, seriesB) {
+    return compareSeries(seriesA, seriesB);
+  }
+
   /**
    * Wait utility
+   * Rejects with the abort reason as soon as the current run is aborted
    */
   wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    const signal = this.signal;
+    
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(getAbortReason(signal));
+        return;
+      }
+      
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(getAbortReason(signal));
+      };
+      const timeoutId = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -0,0 +1,247 @@
+/**
+ * Scroll Driver
+ * Deterministic requestAnimationFrame scrolling for scroll benchmarks
+ *
+ * The scroll position is computed from elapsed time and set directly every frame, so a run
+ * covers the same distance at the same speed in every browser, whatever its smooth-scroll
+ * implementation. Frame intervals are recorded only while the page is scrolling.
+ *
+ * Profiles:
+ *   'constant' - down to the bottom and back up at a fixed velocity (px/s)
+ *   'fling'    - repeated touch-style flings that decelerate to a stop, down then up
+ *   'jump'     - jump straight to each section[id] anchor, then back to the top,
+ *                recording the frames while the page catches up after each jump
+ */
+import { getPercentiles, countDroppedFrames } from './performance-stats.js';
+
+export const SCROLL_PROFILES = {
+  constant: { type: 'constant', label: 'Constant velocity', velocity: 1500 },
+  fling: { type: 'fling', label: 'Fling', velocity: 4000, deceleration: 4000, gap: 150 },
+  jump: { type: 'jump', label: 'Jump to anchor', selector: 'section[id]', settle: 600 }
+};
+
+// Frames longer than this many refresh intervals count as scroll jank
+const JANK_FACTOR = 1.5;
+
+/**
+ * Scrolls the window with one of the SCROLL_PROFILES
+ */
+export class ScrollDriver {
+  /**
+   * refreshRate sets the jank and dropped frame thresholds; signal aborts the run,
+   * wait(ms) pauses between flings, startPhase(name) => end is called around every scroll segment
+   * and onScroll(y, time) after every position the driver sets
+   */
+  constructor({
+    refreshRate = 60,
+    signal = null,
+    wait = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    startPhase = () => () => {},
+    onScroll = () => {}
+  } = {}) {
+    this.refreshRate = refreshRate;
+    this.signal = signal;
+    this.wait = wait;
+    this.startPhase = startPhase;
+    this.onScroll = onScroll;
+    this.frameTimes = [];
+    this.distance = 0;
+    this.scrollTime = 0;
+    this.segments = 0;
+  }
+
+  /**
+   * Largest scrollTop the page allows
+   */
+  getMaxScroll() {
+    return Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+  }
+
+  /**
+   * Run a profile and summarise the frames recorded while scrolling
+   */
+  async run(profile) {
+    const runners = {
+      constant: () => this.runConstant(profile),
+      fling: () => this.runFling(profile),
+      jump: () => this.runJump(profile)
+    };
+
+    if (!runners[profile.type]) {
+      throw new Error(`Unknown scroll profile type "${profile.type}"; expected one of ${Object.keys(runners).join(', ')}`);
+    }
+
+    await runners[profile.type]();
+
+    return this.getSummary(profile);
+  }
+
+  /**
+   * Glide to the bottom and back to the top at profile.velocity
+   */
+  async runConstant({ velocity }) {
+    for (const target of [this.getMaxScroll(), 0]) {
+      await this.glide(target, velocity);
+    }
+  }
+
+  /**
+   * Scroll to target at a constant velocity (px/s)
+   */
+  glide(target, velocity) {
+    const from = window.scrollY;
+    const duration = (Math.abs(target - from) / velocity) * 1000;
+    const direction = Math.sign(target - from);
+
+    return this.drive(`Scroll to ${Math.round(target)}px`, elapsed => ({
+      y: elapsed >= duration ? target : from + direction * velocity * (elapsed / 1000),
+      done: elapsed >= duration
+    }));
+  }
+
+  /**
+   * Fling towards the bottom until it is reached, then back towards the top
+   */
+  async runFling(profile) {
+    for (const bound of [this.getMaxScroll(), 0]) {
+      await this.flingTo(bound, profile);
+    }
+  }
+
+  /**
+   * Fling towards bound until it is reached
+   * Each fling starts at velocity and slows by deceleration (px/s²), with gap ms between flings
+   */
+  async flingTo(bound, { velocity, deceleration, gap }) {
+    const flingDuration = (velocity / deceleration) * 1000;
+    const direction = Math.sign(bound - window.scrollY);
+
+    if (direction !== 0) {
+      while (Math.round(window.scrollY) !== Math.round(bound)) {
+        const from = window.scrollY;
+
+        const moved = await this.drive(`Fling ${direction > 0 ? 'down' : 'up'} from ${Math.round(from)}px`, elapsed => {
+          const time = Math.min(elapsed, flingDuration) / 1000;
+          const travelled = velocity * time - (deceleration * time * time) / 2;
+          const y = direction > 0 ? Math.min(bound, from + travelled) : Math.max(bound, from - travelled);
+
+          return { y, done: elapsed >= flingDuration || y === bound };
+        });
+
+        // The page stopped short of the bound it was measured with, e.g. after a resize
+        if (moved < 1) break;
+
+        // A finger lifting and landing again; not recorded as scrolling
+        await this.wait(gap);
+      }
+    }
+  }
+
+  /**
+   * Jump to every anchor, then the top, recording the frames during each settle period
+   */
+  async runJump({ selector, settle }) {
+    const anchors = Array.from(document.querySelectorAll(selector));
+    const targets = [
+      ...anchors.map(anchor => ({
+        name: `Jump to #${anchor.id}`,
+        y: Math.min(this.getMaxScroll(), anchor.getBoundingClientRect().top + window.scrollY)
+      })),
+      { name: 'Jump to top', y: 0 }
+    ];
+
+    for (const target of targets) {
+      let jumped = false;
+
+      await this.drive(target.name, elapsed => {
+        const y = jumped ? null : target.y;
+        jumped = true;
+        return { y, done: elapsed >= settle };
+      });
+    }
+  }
+
+  /**
+   * Drive the scroll position from requestAnimationFrame until step(elapsed) reports done
+   * step returns { y, done }; y null leaves the position alone. Resolves to the distance moved
+   */
+  drive(name, step) {
+    const endPhase = this.startPhase(name);
+    const startY = window.scrollY;
+    this.segments++;
+
+    return new Promise((resolve, reject) => {
+      let startTime = null;
+      let lastTime = null;
+      let frameId = null;
+
+      const onAbort = () => {
+        cancelAnimationFrame(frameId);
+        endPhase();
+        reject(this.getAbortReason());
+      };
+
+      const onFrame = (time) => {
+        if (startTime === null) {
+          startTime = time;
+        } else {
+          this.frameTimes.push(time - lastTime);
+        }
+        lastTime = time;
+
+        const elapsed = time - startTime;
+        const { y, done } = step(elapsed);
+        if (y !== null) {
+          this.distance += Math.abs(y - window.scrollY);
+          window.scrollTo(0, y);
+          this.onScroll(window.scrollY, time);
+        }
+
+        if (done) {
+          this.scrollTime += elapsed;
+          if (this.signal) this.signal.removeEventListener('abort', onAbort);
+          endPhase();
+          resolve(Math.abs(window.scrollY - startY));
+          return;
+        }
+
+        frameId = requestAnimationFrame(onFrame);
+      };
+
+      if (this.signal && this.signal.aborted) {
+        onAbort();
+        return;
+      }
+      if (this.signal) this.signal.addEventListener('abort', onAbort, { once: true });
+      frameId = requestAnimationFrame(onFrame);
+    });
+  }
+
+  /**
+   * The reason the signal was aborted with, or an AbortError where the browser has no abort reasons
+   */
+  getAbortReason() {
+    return this.signal.reason !== undefined ? this.signal.reason : new DOMException('Scroll aborted', 'AbortError');
+  }
+
+  /**
+   * Frame timing recorded while scrolling
+   */
+  getSummary(profile) {
+    const jankThreshold = (1000 / this.refreshRate) * JANK_FACTOR;
+
+    return {
+      profile: profile.type,
+      label: profile.label,
+      settings: profile,
+      distance: Math.round(this.distance),
+      scrollTime: Math.round(this.scrollTime),
+      segments: this.segments,
+      frameCount: this.frameTimes.length,
+      frameTimePercentiles: getPercentiles(this.frameTimes),
+      longestFrame: this.frameTimes.length > 0 ? Math.round(Math.max(...this.frameTimes) * 10) / 10 : 0,
+      droppedFrames: countDroppedFrames(this.frameTimes, this.refreshRate),
+      jankFrames: this.frameTimes.filter(frameTime => frameTime > jankThreshold).length
+    };
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Stress Field
+ * Shared particle layout for the stress ramp so both demos animate identical elements
+ *
+ * Each demo only decides how particles move; positions, sizes and motion targets come from
+ * here and depend only on the particle's index
+ */
+
+// Golden-angle spacing spreads any number of particles evenly over the viewport
+const GOLDEN_RATIO = 0.618033988749895;
+
+/**
+ * Motion every stress particle runs forever: to { x, y, rotation } and back over duration seconds
+ */
+export function getStressMotion(index) {
+  return {
+    x: 40 + (index % 7) * 10,
+    y: 30 + (index % 5) * 12,
+    rotation: 180,
+    duration: 1.5 + (index % 4) * 0.25
+  };
+}
+
+/**
+ * Sine in-out easing, the same curve as GSAP's 'sine.inOut'
+ */
+export function easeSineInOut(progress) {
+  return -(Math.cos(Math.PI * progress) - 1) / 2;
+}
+
+/**
+ * Fixed overlay holding the stress particles
+ */
+export class StressField {
+  constructor() {
+    this.container = null;
+    this.particles = [];
+  }
+
+  /**
+   * Add particles until there are count of them; returns the new elements
+   */
+  grow(count) {
+    if (!this.container) {
+      this.container = document.createElement('div');
+      this.container.className = 'stress-field';
+      this.container.setAttribute('aria-hidden', 'true');
+      Object.assign(this.container.style, {
+        position: 'fixed',
+        inset: '0',
+        overflow: 'hidden',
+        pointerEvents: 'none',
+        zIndex: '9999'
+      });
+      document.body.appendChild(this.container);
+    }
+
+    const added = [];
+    while (this.particles.length < count) {
+      const index = this.particles.length;
+      const element = document.createElement('div');
+
+      element.className = 'stress-particle';
+      Object.assign(element.style, {
+        position: 'absolute',
+        left: `${((index * GOLDEN_RATIO) % 1) * 90}%`,
+        top: `${((index * GOLDEN_RATIO * GOLDEN_RATIO) % 1) * 90}%`,
+        width: '8px',
+        height: '8px',
+        borderRadius: '2px',
+        background: `hsl(${(index * 37) % 360}, 70%, 60%)`
+      });
+
+      this.container.appendChild(element);
+      this.particles.push(element);
+      added.push(element);
+    }
+
+    return added;
+  }
+
+  /**
+   * Remove every particle and the overlay
+   */
+  clear() {
+    if (this.container) {
+      this.container.remove();
+      this.container = null;
+    }
+    this.particles = [];
+  }
+}
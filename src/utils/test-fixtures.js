@@ -0,0 +1,227 @@
+/**
+ * Test Fixtures
+ * Snapshot/restore of everything a performance test touches on the page
+ *
+ * verify() checks two things: that restore() put back what the fixture tracked (mismatches), and,
+ * against state recorded independently before the test, that nothing else changed (leaks): every
+ * attribute and the element count of each touched element's subtree, and the children of each mount parent.
+ * The rest of the page is left alone, since demos and widgets change it for reasons of their own
+ */
+
+export class DOMFixture {
+  constructor() {
+    this.snapshots = new Map();
+    this.initialStates = new Map();
+    this.mountedNodes = [];
+    this.timers = new Set();
+    this.scrollPosition = null;
+  }
+
+  /**
+   * Remember an element's full state before the test first touches it
+   * deep counts every element in its subtree, otherwise only its children are counted
+   */
+  recordState(element, deep = true) {
+    if (!this.initialStates.has(element)) {
+      this.initialStates.set(element, getElementState(element, deep));
+    }
+  }
+
+  /**
+   * Remember an attribute's original value before its first change
+   */
+  snapshot(element, attribute) {
+    this.recordState(element);
+
+    if (!this.snapshots.has(element)) {
+      this.snapshots.set(element, new Map());
+    }
+
+    const attributes = this.snapshots.get(element);
+    if (!attributes.has(attribute)) {
+      attributes.set(attribute, element.getAttribute(attribute));
+    }
+  }
+
+  /**
+   * Set an inline style property
+   */
+  setStyle(element, property, value) {
+    this.snapshot(element, 'style');
+    element.style[property] = value;
+  }
+
+  /**
+   * Set an attribute
+   */
+  setAttribute(element, name, value) {
+    this.snapshot(element, name);
+    element.setAttribute(name, value);
+  }
+
+  /**
+   * Add a class
+   */
+  addClass(element, className) {
+    this.snapshot(element, 'class');
+    element.classList.add(className);
+  }
+
+  /**
+   * Schedule a page change; timers still pending at restore are cancelled
+   */
+  schedule(callback, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      callback();
+    }, delay);
+
+    this.timers.add(timer);
+  }
+
+  /**
+   * Mount a test-only node off screen; it is removed on restore
+   */
+  mount(node, parent = document.body) {
+    node.style.position = 'fixed';
+    node.style.top = '-1000px';
+    node.style.left = '-1000px';
+    node.style.zIndex = '-1';
+    node.setAttribute('data-test-fixture', '');
+
+    // Mount parents are usually <body>, whose subtree is the whole page
+    this.recordState(parent, false);
+    parent.appendChild(node);
+    this.mountedNodes.push(node);
+
+    return node;
+  }
+
+  /**
+   * Remember the scroll position so a scrolling test can return to it
+   */
+  saveScrollPosition() {
+    if (this.scrollPosition === null) {
+      this.scrollPosition = { x: window.scrollX, y: window.scrollY };
+    }
+  }
+
+  /**
+   * Put every touched attribute, mounted node and the scroll position back
+   */
+  restore() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+
+    this.snapshots.forEach((attributes, element) => {
+      attributes.forEach((value, name) => {
+        if (value === null) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, value);
+        }
+      });
+    });
+
+    this.mountedNodes.forEach(node => node.remove());
+
+    if (this.scrollPosition) {
+      // 'instant' bypasses the page's scroll-behavior: smooth
+      window.scrollTo({ left: this.scrollPosition.x, top: this.scrollPosition.y, behavior: 'instant' });
+    }
+  }
+
+  /**
+   * Check the page matches the snapshot taken before the test
+   * clean only when restore() put everything back and nothing changed outside the fixture
+   */
+  verify() {
+    const mismatches = [];
+    const leaks = [];
+    let checkedAttributes = 0;
+
+    this.snapshots.forEach((attributes, element) => {
+      attributes.forEach((expected, name) => {
+        checkedAttributes++;
+        const actual = element.getAttribute(name);
+
+        if (actual !== expected) {
+          mismatches.push({ element: describeElement(element), attribute: name, expected, actual });
+        }
+      });
+    });
+
+    this.mountedNodes
+      .filter(node => node.isConnected)
+      .forEach(node => {
+        mismatches.push({ element: describeElement(node), attribute: null, expected: 'removed', actual: 'mounted' });
+      });
+
+    if (this.scrollPosition) {
+      const offset = Math.abs(window.scrollY - this.scrollPosition.y) + Math.abs(window.scrollX - this.scrollPosition.x);
+
+      if (offset > 1) {
+        mismatches.push({
+          element: 'window',
+          attribute: 'scroll',
+          expected: `${this.scrollPosition.x},${this.scrollPosition.y}`,
+          actual: `${window.scrollX},${window.scrollY}`
+        });
+      }
+    }
+
+    // Attributes restore() wrote back are covered above; anything else that differs was changed behind the fixture
+    this.initialStates.forEach((initial, element) => {
+      const current = getElementState(element, initial.deep);
+      const tracked = this.snapshots.get(element) || new Map();
+      const names = new Set([...Object.keys(initial.attributes), ...Object.keys(current.attributes)]);
+
+      names.forEach(name => {
+        const expected = name in initial.attributes ? initial.attributes[name] : null;
+        const actual = name in current.attributes ? current.attributes[name] : null;
+
+        if (!tracked.has(name) && actual !== expected) {
+          leaks.push({ element: describeElement(element), attribute: name, expected, actual });
+        }
+      });
+
+      if (current.elements !== initial.elements) {
+        leaks.push({
+          element: describeElement(element),
+          attribute: initial.deep ? 'descendants' : 'children',
+          expected: initial.elements,
+          actual: current.elements
+        });
+      }
+    });
+
+    return {
+      clean: mismatches.length === 0 && leaks.length === 0,
+      checkedElements: this.initialStates.size,
+      checkedAttributes: checkedAttributes,
+      mismatches: mismatches,
+      leaks: leaks
+    };
+  }
+}
+
+/**
+ * Every attribute of an element and the number of elements in its subtree (deep) or of its children
+ */
+function getElementState(element, deep) {
+  return {
+    attributes: Object.fromEntries(Array.from(element.attributes, attribute => [attribute.name, attribute.value])),
+    elements: deep ? element.getElementsByTagName('*').length : element.childElementCount,
+    deep: deep
+  };
+}
+
+/**
+ * Short CSS-like description of an element for fixture reports
+ */
+function describeElement(element) {
+  const id = element.id ? `#${element.id}` : '';
+  const classes = (element.getAttribute('class') || '').trim().split(/\s+/).filter(Boolean).map(name => `.${name}`).join('');
+
+  return `${element.tagName.toLowerCase()}${id}${classes}`;
+}
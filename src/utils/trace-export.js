@@ -0,0 +1,148 @@
+/**
+ * Trace Export
+ * Converts a benchmark run into Chrome Trace Event Format for DevTools and Perfetto
+ *
+ * Timestamps are microseconds since navigation start (performance.now() * 1000)
+ */
+
+const PROCESS_ID = 1;
+
+// One track per kind of event
+const THREADS = {
+  frames: { tid: 1, name: 'Frames' },
+  longTasks: { tid: 2, name: 'Long tasks' },
+  phases: { tid: 3, name: 'Test phases' },
+  animations: { tid: 4, name: 'Animations' },
+  interactions: { tid: 5, name: 'Interactions' },
+  load: { tid: 6, name: 'Injected load' }
+};
+
+/**
+ * Milliseconds to trace microseconds
+ */
+function toMicroseconds(ms) {
+  return Math.round(ms * 1000);
+}
+
+/**
+ * Build a Trace Event Format document from the monitor timeline and tester phases
+ */
+export function createTrace({ monitor, tester, library = null }) {
+  const { frames, fps, cpu, animationStarts } = monitor.timeline;
+  const processName = library ? `${library} demo` : 'Animation benchmark';
+
+  const metadata = [
+    { name: 'process_name', ph: 'M', pid: PROCESS_ID, tid: 0, args: { name: processName } },
+    ...Object.values(THREADS).map(({ tid, name }) => ({
+      name: 'thread_name', ph: 'M', pid: PROCESS_ID, tid, args: { name }
+    })),
+    ...Object.values(THREADS).map(({ tid }) => ({
+      name: 'thread_sort_index', ph: 'M', pid: PROCESS_ID, tid, args: { sort_index: tid }
+    }))
+  ];
+
+  const fpsCounters = fps.map(sample => ({
+    name: 'FPS',
+    cat: 'fps',
+    ph: 'C',
+    ts: toMicroseconds(sample.time),
+    pid: PROCESS_ID,
+    args: { fps: sample.fps }
+  }));
+
+  const cpuCounters = cpu.map(sample => ({
+    name: 'CPU busy (est.)',
+    cat: 'cpu',
+    ph: 'C',
+    ts: toMicroseconds(sample.time),
+    pid: PROCESS_ID,
+    args: { busy: sample.busy }
+  }));
+
+  const frameEvents = frames.map(frame => ({
+    name: 'Frame',
+    cat: 'frame',
+    ph: 'X',
+    ts: toMicroseconds(frame.start),
+    dur: toMicroseconds(frame.duration),
+    pid: PROCESS_ID,
+    tid: THREADS.frames.tid,
+    args: { frameTime: Math.round(frame.duration * 100) / 100 }
+  }));
+
+  const longTaskEvents = monitor.metrics.longTasks.map(task => ({
+    name: task.type === 'long-animation-frame' ? 'Long animation frame' : 'Long task',
+    cat: task.type,
+    ph: 'X',
+    ts: toMicroseconds(task.startTime),
+    dur: toMicroseconds(task.duration),
+    pid: PROCESS_ID,
+    tid: THREADS.longTasks.tid,
+    args: { blockingDuration: task.blockingDuration, attribution: task.attribution }
+  }));
+
+  const phaseEvents = tester.phases.map(phase => ({
+    name: phase.name,
+    cat: phase.category,
+    ph: 'X',
+    ts: toMicroseconds(phase.start),
+    dur: toMicroseconds(phase.duration),
+    pid: PROCESS_ID,
+    tid: THREADS.phases.tid,
+    args: {}
+  }));
+
+  const interactionEvents = monitor.metrics.interactions.map(interaction => ({
+    name: `${interaction.type} ${interaction.control}`,
+    cat: 'interaction',
+    ph: 'X',
+    ts: toMicroseconds(interaction.startTime),
+    dur: toMicroseconds(interaction.duration),
+    pid: PROCESS_ID,
+    tid: THREADS.interactions.tid,
+    args: {
+      source: interaction.source,
+      inputDelay: interaction.inputDelay,
+      processingTime: interaction.processingTime,
+      presentationDelay: interaction.presentationDelay
+    }
+  }));
+
+  const loadEvents = tester.loadBlocks.map(block => ({
+    name: 'Injected load',
+    cat: 'load',
+    ph: 'X',
+    ts: toMicroseconds(block.start),
+    dur: toMicroseconds(block.end - block.start),
+    pid: PROCESS_ID,
+    tid: THREADS.load.tid,
+    args: { profile: block.label }
+  }));
+
+  const animationEvents = animationStarts.map(start => ({
+    name: start.name,
+    cat: 'animation',
+    ph: 'i',
+    s: 't',
+    ts: toMicroseconds(start.time),
+    pid: PROCESS_ID,
+    tid: THREADS.animations.tid,
+    args: {}
+  }));
+
+  const events = [...fpsCounters, ...cpuCounters, ...frameEvents, ...longTaskEvents, ...phaseEvents, ...interactionEvents, ...loadEvents, ...animationEvents]
+    .sort((a, b) => a.ts - b.ts);
+
+  return {
+    traceEvents: [...metadata, ...events],
+    displayTimeUnit: 'ms',
+    metadata: {
+      source: 'animation-showdown',
+      library: library,
+      page: window.location.pathname,
+      timeOrigin: performance.timeOrigin,
+      generatedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent
+    }
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Trigger Accuracy
+ * Where and when scroll triggers fire compared with the line they were configured for
+ *
+ * Demos describe each trigger by the scroll position it should fire at while scrolling down.
+ * A pass scrolls past every trigger with the ScrollDriver, sampling the position every frame;
+ * the first frame that reaches a trigger's intended position is when it should have fired
+ */
+import { mean } from './performance-stats.js';
+
+// Scroll passes over the triggers, from a speed any engine keeps up with to flings that skip whole sections
+export const TRIGGER_PASSES = [
+  { id: 'slow', type: 'constant', label: 'Slow scroll (500px/s)', velocity: 500 },
+  { id: 'fast', type: 'constant', label: 'Fast scroll (3000px/s)', velocity: 3000 },
+  { id: 'fling', type: 'fling', label: 'Fast fling (12000px/s)', velocity: 12000, deceleration: 8000, gap: 150 }
+];
+
+/**
+ * Distance from the top of the document to the element's (transformed) top edge
+ */
+export function getDocumentTop(element) {
+  return element.getBoundingClientRect().top + window.scrollY;
+}
+
+/**
+ * Scroll position at which the element's top edge reaches viewportFraction of the viewport height
+ * ScrollTrigger's start: 'top 80%' is scrollForLine(element, 0.8)
+ */
+export function scrollForLine(element, viewportFraction) {
+  return getDocumentTop(element) - window.innerHeight * viewportFraction;
+}
+
+/**
+ * Scroll position at which ratio of the element has entered from the bottom of the viewport,
+ * as an IntersectionObserver threshold sees it; a negative rootMarginBottom (px) raises the bottom edge.
+ * null when the ratio can never be visible because the element is taller than the root allows
+ */
+export function scrollForVisibleRatio(element, ratio, rootMarginBottom = 0) {
+  const rootHeight = window.innerHeight + rootMarginBottom;
+  const visibleHeight = element.getBoundingClientRect().height * ratio;
+
+  if (visibleHeight > rootHeight) return null;
+
+  return getDocumentTop(element) + visibleHeight - rootHeight;
+}
+
+/**
+ * Match one pass's firings against its triggers
+ * samples are { y, time } for every frame of the pass, starting with the position before it;
+ * fires are { id, y, time } in the order the engine fired them
+ */
+export function measureTriggerPass(triggers, samples, fires) {
+  const startY = samples.length > 0 ? samples[0].y : 0;
+
+  return triggers.map(trigger => {
+    const intended = trigger.intendedScroll;
+    // Triggers above the starting position fired before the pass and are not checked
+    const crossing = intended !== null && intended > startY
+      ? samples.find(sample => sample.y >= intended)
+      : undefined;
+    const fire = fires.find(entry => entry.id === trigger.id);
+
+    return {
+      id: trigger.id,
+      label: trigger.label,
+      intendedScroll: intended !== null ? Math.round(intended) : null,
+      reached: crossing !== undefined,
+      fired: fire !== undefined,
+      missed: crossing !== undefined && fire === undefined,
+      firedAt: fire ? Math.round(fire.y) : null,
+      positionError: fire && intended !== null ? Math.round(fire.y - intended) : null,
+      latency: fire && crossing ? Math.round((fire.time - crossing.time) * 10) / 10 : null
+    };
+  });
+}
+
+/**
+ * Latency (ms after the intended line was crossed) and absolute position error (px) across passes
+ */
+export function summarizeTriggerAccuracy(passes) {
+  const triggers = passes.flatMap(pass => pass.triggers);
+  const latencies = triggers.filter(trigger => trigger.latency !== null).map(trigger => trigger.latency);
+  const errors = triggers.filter(trigger => trigger.positionError !== null).map(trigger => Math.abs(trigger.positionError));
+
+  return {
+    checked: triggers.filter(trigger => trigger.reached).length,
+    fired: triggers.filter(trigger => trigger.reached && trigger.fired).length,
+    missed: triggers.filter(trigger => trigger.missed).length,
+    meanLatency: latencies.length > 0 ? Math.round(mean(latencies) * 10) / 10 : null,
+    worstLatency: latencies.length > 0 ? Math.max(...latencies) : null,
+    meanPositionError: errors.length > 0 ? Math.round(mean(errors)) : null,
+    worstPositionError: errors.length > 0 ? Math.max(...errors) : null
+  };
+}
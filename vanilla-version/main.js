@@ -6,6 +6,10 @@ import * as THREE from 'three';
 // Import performance monitoring
 import { performanceMonitor, animationTester } from '../src/utils/performance.js';
 import { performanceUI } from '../src/utils/performance-ui.js';
+import { initBenchmarkBridge } from '../src/utils/benchmark-bridge.js';
+import { initBenchmarkHistory } from '../src/utils/benchmark-history.js';
+import { StressField, getStressMotion, easeSineInOut } from '../src/utils/stress-field.js';
+import { scrollForVisibleRatio } from '../src/utils/trigger-accuracy.js';
 
 // Application state
 let scene, camera, renderer, animationId;
@@ -13,9 +17,20 @@ let cube, spheres = [];
 let pathAnimationState = 'stopped'; // 'stopped', 'forward', 'reverse'
 let rotationSpeed = 1;
 let animationScale = 1;
-let lastTime = 0;
-let frameCount = 0;
-let fps = 60;
+let lastRenderTime = 0;
+const renderListeners = new Set();
+const triggerListeners = new Set();
+
+// Pending path button timers, cancelled when the path is settled
+const pathTimeouts = new Set();
+
+// Pending color change timers and animation frames, cancelled when colors are set directly
+const colorTimeouts = new Set();
+const colorFrames = new Map();
+
+// Timers and injected styles owned by the hero animations, released by destroyHeroAnimations()
+const heroResources = { timeouts: new Set(), intervals: new Set(), styles: [] };
+const HERO_ANIMATED_SELECTOR = '.title-line, .hero-subtitle, .feature-tag, .particle, .orbital-element, .shape, .wave, .connection-line';
 
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
@@ -38,25 +53,115 @@ function initPerformanceMonitoring() {
     window.animationTester = animationTester;
     
     // Show performance panel
-    performanceUI.show();
+    performanceUI.show({ library: 'Vanilla' });
+    
+    // Regression budgets; the ThreeJS test deliberately ramps to 128 spheres, so it gets looser frame limits
+    animationTester.setBudget({ minP95Fps: 50, maxP99FrameTime: 33, maxLongTasks: 5, maxHeapGrowthMB: 20 });
+    animationTester.setBudget({ minP95Fps: 30, maxP99FrameTime: 50 }, 'threeJSAnimations');
+    
+    // Accept head-to-head benchmark runs from analysis.html
+    initBenchmarkBridge({ library: 'Vanilla', tester: animationTester, monitor: performanceMonitor });
+    
+    // Keep every completed run in IndexedDB for the history view
+    initBenchmarkHistory({ library: 'Vanilla', tester: animationTester, monitor: performanceMonitor });
+    
+    // Let the leak check mount and destroy the hero animations
+    animationTester.registerLifecycleHook({
+        library: 'Vanilla',
+        mount: initHeroAnimations,
+        destroy: destroyHeroAnimations
+    });
+    
+    // Let the stress ramp add rAF-driven particles until frames slow down
+    animationTester.registerStressHook(createStressHook());
+    
+    // Let the trigger accuracy scenario see when each IntersectionObserver fires
+    animationTester.registerTriggerHook(createTriggerHook());
     
     // Start monitoring automatically
     setTimeout(() => {
         performanceMonitor.startMonitoring();
     }, 1000);
     
-    // Update metrics display periodically
-    setInterval(() => {
-        const summary = performanceMonitor.getPerformanceSummary();
-        performanceUI.updateMetrics({
-            fps: summary.averageFPS || '--',
-            memory: summary.currentMemory ? `${summary.currentMemory.used}MB` : '--',
-            frameTime: summary.averageFrameTime ? `${summary.averageFrameTime}ms` : '--',
-            animationCount: summary.animationCount
+    console.log('🚀 Performance monitoring initialized for Vanilla JS demo');
+}
+
+/**
+ * The IntersectionObserver triggers checked by the trigger accuracy scenario and the scroll position each should fire at
+ * Matches the observer options below: the first stagger item at 10% visible above a -50px bottom margin,
+ * the path section at 50% visible
+ */
+function createTriggerHook() {
+    const triggers = [
+        { id: 'stagger', label: '.stagger-item threshold 0.1, -50px', selector: '.stagger-item', ratio: 0.1, rootMarginBottom: -50 },
+        { id: 'path', label: '.path-section threshold 0.5', selector: '.path-section', ratio: 0.5, rootMarginBottom: 0 }
+    ];
+    
+    return {
+        library: 'Vanilla',
+        getTriggers: () => triggers
+            .filter(trigger => document.querySelector(trigger.selector))
+            .map(({ id, label, selector, ratio, rootMarginBottom }) => ({
+                id,
+                label,
+                intendedScroll: scrollForVisibleRatio(document.querySelector(selector), ratio, rootMarginBottom)
+            })),
+        onFire: (listener) => {
+            triggerListeners.add(listener);
+            return () => triggerListeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * Report a trigger firing to the trigger accuracy scenario
+ */
+function notifyTrigger(id) {
+    triggerListeners.forEach(listener => listener(id));
+}
+
+/**
+ * Stress particles moved by a single requestAnimationFrame loop
+ * Same motion as the GSAP demo's tweens: yoyo between start and target with sine in-out easing
+ */
+function createStressHook() {
+    const field = new StressField();
+    const particles = [];
+    let frameId = null;
+    
+    function update(time) {
+        particles.forEach(particle => {
+            const { element, motion, start } = particle;
+            const cycle = (Math.max(0, time - start) / 1000 / motion.duration) % 2;
+            const eased = easeSineInOut(cycle > 1 ? 2 - cycle : cycle);
+            
+            element.style.transform = `translate(${motion.x * eased}px, ${motion.y * eased}px) rotate(${motion.rotation * eased}deg)`;
         });
-    }, 1000);
+        
+        frameId = requestAnimationFrame(update);
+    }
     
-    console.log('🚀 Performance monitoring initialized for Vanilla JS demo');
+    return {
+        library: 'Vanilla',
+        setElementCount: (count) => {
+            const start = performance.now();
+            field.grow(count).forEach(element => {
+                particles.push({ element, motion: getStressMotion(particles.length), start });
+            });
+            
+            if (frameId === null) {
+                frameId = requestAnimationFrame(update);
+            }
+        },
+        reset: () => {
+            if (frameId !== null) {
+                cancelAnimationFrame(frameId);
+                frameId = null;
+            }
+            particles.length = 0;
+            field.clear();
+        }
+    };
 }
 
 /**
@@ -72,6 +177,8 @@ function initScrollAnimations() {
     const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
+                if (entry.target === firstStaggerItem) notifyTrigger('stagger');
+                
                 entry.target.classList.add('animate-in');
                 // Track animation count
                 if (window.performanceMonitor) {
@@ -81,7 +188,8 @@ function initScrollAnimations() {
         });
     }, observerOptions);
     
-    // Observe stagger items
+    // Observe stagger items; the first one is the one the trigger accuracy scenario checks
+    const firstStaggerItem = document.querySelector('.stagger-item');
     document.querySelectorAll('.stagger-item').forEach(item => {
         observer.observe(item);
     });
@@ -117,6 +225,9 @@ function initPathAnimations() {
         // Set up intersection observer for path section
         const pathObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
+                // Reported on every entry, not just the one that starts the animation
+                if (entry.isIntersecting) notifyTrigger('path');
+                
                 if (entry.isIntersecting && pathAnimationState === 'stopped') {
                     // Animate path
                     path.classList.add('animate');
@@ -128,10 +239,10 @@ function initPathAnimations() {
                     }
                     
                     // Animate dots with delay
-                    setTimeout(() => {
+                    pathTimeout(() => {
                         dots.forEach((dot, index) => {
                             dot.style.transitionDelay = ''; // Reset to CSS default
-                            setTimeout(() => {
+                            pathTimeout(() => {
                                 dot.classList.add('animate');
                                 // Track animation count for each dot
                                 if (window.performanceMonitor) {
@@ -147,7 +258,57 @@ function initPathAnimations() {
         });
         
         pathObserver.observe(document.querySelector('.path-section'));
+        
+        // Let the interaction test put the path back after clicking its buttons
+        animationTester.registerPathHook({
+            getState: () => ({ animationState: pathAnimationState }),
+            setState: ({ animationState }) => settlePath(animationState)
+        });
+    }
+}
+
+/**
+ * Jump the path to where the given animation state ends, cancelling button timers still pending
+ */
+function settlePath(state) {
+    const path = document.querySelector('.draw-path');
+    const dots = document.querySelectorAll('.path-dot');
+    
+    pathTimeouts.forEach(id => clearTimeout(id));
+    pathTimeouts.clear();
+    
+    // Removing and re-adding a class in the same task does not restart its animation
+    path.classList.remove('animate', 'animate-reverse');
+    dots.forEach(dot => {
+        dot.classList.remove('animate');
+        dot.style.transitionDelay = '';
+    });
+    
+    if (state === 'reverse') {
+        path.style.strokeDashoffset = '0';
+        path.classList.add('animate-reverse');
+    } else {
+        path.style.strokeDashoffset = path.getTotalLength();
+        
+        if (state === 'forward') {
+            path.classList.add('animate');
+            dots.forEach(dot => dot.classList.add('animate'));
+        }
     }
+    
+    pathAnimationState = state;
+}
+
+/**
+ * setTimeout that settlePath() can cancel
+ */
+function pathTimeout(callback, delay) {
+    const id = setTimeout(() => {
+        pathTimeouts.delete(id);
+        callback();
+    }, delay);
+    pathTimeouts.add(id);
+    return id;
 }
 
 /**
@@ -191,63 +352,102 @@ function initThreeJS() {
     
     // Create floating spheres
     for (let i = 0; i < 8; i++) {
-        const sphereGeometry = new THREE.SphereGeometry(0.2, 32, 32);
-        const sphereMaterial = new THREE.MeshPhongMaterial({ 
-            color: new THREE.Color().setHSL(i / 8, 0.7, 0.6),
-            shininess: 100
-        });
-        const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        
-        // Position spheres in a circle
-        const angle = (i / 8) * Math.PI * 2;
-        const baseX = Math.cos(angle) * 4;
-        const baseY = Math.sin(angle) * 2;
-        const baseZ = Math.sin(angle * 2) * 2;
-        
-        sphere.position.set(baseX, baseY, baseZ);
-        
-        // Store original positions for animation
-        sphere.userData = {
-            originalX: baseX,
-            originalY: baseY,
-            originalZ: baseZ
-        };
-        
+        const sphere = createSphere(i);
         spheres.push(sphere);
         scene.add(sphere);
     }
     
-    // Initialize performance monitoring
-    lastTime = Date.now();
+    // Canvas overlay shows the monitor's FPS; the panel has its own subscription
+    const fpsElement = document.getElementById('threejsFps');
+    if (fpsElement) {
+        performanceMonitor.on('fps', ({ fps }) => {
+            fpsElement.textContent = fps;
+        });
+    }
     
     // Start render loop
     animate();
     
     // Handle resize
     window.addEventListener('resize', onWindowResize);
+    
+    // Let the performance tester drive this scene
+    animationTester.registerThreeJSHook(createThreeJSHook());
 }
 
 /**
- * Animation loop with vanilla JavaScript
+ * Create a floating sphere, positioned in rings of 8 around the cube
  */
-function animate() {
-    animationId = requestAnimationFrame(animate);
+function createSphere(index) {
+    const sphereGeometry = new THREE.SphereGeometry(0.2, 32, 32);
+    const sphereMaterial = new THREE.MeshPhongMaterial({ 
+        color: new THREE.Color().setHSL((index % 8) / 8, 0.7, 0.6),
+        shininess: 100
+    });
+    const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
     
-    // Calculate FPS
-    const currentTime = Date.now();
-    frameCount++;
+    // Position spheres in a circle, further rings step back in depth
+    const ring = Math.floor(index / 8);
+    const angle = ((index % 8) / 8) * Math.PI * 2 + ring * 0.4;
+    const baseX = Math.cos(angle) * 4;
+    const baseY = Math.sin(angle) * 2;
+    const baseZ = Math.sin(angle * 2) * 2 - ring * 0.5;
     
-    if (currentTime - lastTime >= 1000) {
-        fps = frameCount;
-        frameCount = 0;
-        lastTime = currentTime;
-        
-        // Update FPS display
-        const fpsElement = document.getElementById('fps');
-        if (fpsElement) {
-            fpsElement.textContent = fps;
-        }
+    sphere.position.set(baseX, baseY, baseZ);
+    
+    // Store original positions for animation
+    sphere.userData = {
+        originalX: baseX,
+        originalY: baseY,
+        originalZ: baseZ
+    };
+    
+    return sphere;
+}
+
+/**
+ * Add or remove spheres from the scene
+ */
+function setSphereCount(count) {
+    while (spheres.length < count) {
+        const sphere = createSphere(spheres.length);
+        spheres.push(sphere);
+        scene.add(sphere);
+    }
+    
+    while (spheres.length > count) {
+        const sphere = spheres.pop();
+        scene.remove(sphere);
+        sphere.geometry.dispose();
+        sphere.material.dispose();
     }
+}
+
+/**
+ * Expose the scene to the performance tester without making it global
+ */
+function createThreeJSHook() {
+    return {
+        library: 'Vanilla',
+        renderer,
+        getState: () => ({ rotationSpeed, animationScale, sphereCount: spheres.length, colors: getColors() }),
+        setRotationSpeed,
+        setAnimationScale,
+        changeColor,
+        setColors,
+        setSphereCount,
+        onRender: (listener) => {
+            renderListeners.add(listener);
+            return () => renderListeners.delete(listener);
+        }
+    };
+}
+
+/**
+ * Animation loop with vanilla JavaScript
+ */
+function animate() {
+    animationId = requestAnimationFrame(animate);
     
     // Rotate cube with speed control
     if (cube) {
@@ -275,7 +475,15 @@ function animate() {
         sphere.rotation.y += 0.005 * rotationSpeed;
     });
     
+    const renderStart = performance.now();
     renderer.render(scene, camera);
+    const renderEnd = performance.now();
+    
+    if (renderListeners.size > 0 && lastRenderTime) {
+        const frame = { frameTime: renderStart - lastRenderTime, renderTime: renderEnd - renderStart };
+        renderListeners.forEach(listener => listener(frame));
+    }
+    lastRenderTime = renderStart;
 }
 
 /**
@@ -321,10 +529,10 @@ function initControls() {
                 path.classList.add('animate');
                 pathAnimationState = 'forward';
                 
-                setTimeout(() => {
+                pathTimeout(() => {
                     dots.forEach((dot, index) => {
                         dot.style.transitionDelay = ''; // Reset to CSS default
-                        setTimeout(() => {
+                        pathTimeout(() => {
                             dot.classList.add('animate');
                         }, index * 300);
                     });
@@ -359,9 +567,9 @@ function initControls() {
                     dot.style.transitionDelay = '0s'; // Reset delays for immediate show
                 });
                 
-                setTimeout(() => {
+                pathTimeout(() => {
                     dots.forEach((dot, index) => {
-                        setTimeout(() => {
+                        pathTimeout(() => {
                             dot.classList.remove('animate');
                         }, (dots.length - 1 - index) * 300);
                     });
@@ -387,14 +595,14 @@ function initControls() {
                 pathAnimationState = 'stopped';
                 
                 // Restart animation
-                setTimeout(() => {
+                pathTimeout(() => {
                     path.classList.add('animate');
                     pathAnimationState = 'forward';
                     
-                    setTimeout(() => {
+                    pathTimeout(() => {
                         dots.forEach((dot, index) => {
                             dot.style.transitionDelay = ''; // Reset to CSS default
-                            setTimeout(() => {
+                            pathTimeout(() => {
                                 dot.classList.add('animate');
                             }, index * 300);
                         });
@@ -411,58 +619,170 @@ function initControls() {
     
     if (rotationSlider) {
         rotationSlider.addEventListener('input', (e) => {
-            rotationSpeed = parseFloat(e.target.value);
+            setRotationSpeed(parseFloat(e.target.value));
         });
     }
     
     if (scaleSlider) {
         scaleSlider.addEventListener('input', (e) => {
-            animationScale = parseFloat(e.target.value);
+            setAnimationScale(parseFloat(e.target.value));
         });
     }
     
     if (changeColorBtn) {
-        changeColorBtn.addEventListener('click', () => {
-            // Generate random colors
-            const cubeColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-            
-            // Animate cube color change
-            if (cube) {
-                animateColorChange(cube.material, cubeColor, 400);
-            }
-            
-            // Animate spheres color change with stagger
-            spheres.forEach((sphere, index) => {
-                setTimeout(() => {
-                    const sphereColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-                    animateColorChange(sphere.material, sphereColor, 300);
-                }, index * 50);
-            });
-        });
+        changeColorBtn.addEventListener('click', changeColor);
+    }
+}
+
+/**
+ * Set the rotation speed the render loop applies
+ */
+function setRotationSpeed(speed) {
+    rotationSpeed = speed;
+    syncSlider('rotationSpeed', speed);
+}
+
+/**
+ * Set the cube scale the render loop applies
+ */
+function setAnimationScale(scale) {
+    animationScale = scale;
+    syncSlider('animationScale', scale);
+}
+
+/**
+ * Show a value set from script on its slider
+ */
+function syncSlider(id, value) {
+    const slider = document.getElementById(id);
+    if (slider) {
+        slider.value = value;
     }
+}
+
+/**
+ * Animate cube and spheres to random colors
+ */
+function changeColor() {
+    // Generate random colors
+    const cubeColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
     
-    // Color animation helper function
-    function animateColorChange(material, targetColor, duration) {
-        const startColor = material.color.clone();
-        const startTime = Date.now();
-        
-        function updateColor() {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-            
-            // Smooth easing
-            const eased = 1 - Math.pow(1 - progress, 3);
-            
-            // Lerp between colors
-            material.color.lerpColors(startColor, targetColor, eased);
-            
-            if (progress < 1) {
-                requestAnimationFrame(updateColor);
-            }
+    // Animate cube color change
+    if (cube) {
+        animateColorChange(cube.material, cubeColor, 400);
+    }
+    
+    // Animate spheres color change with stagger
+    spheres.forEach((sphere, index) => {
+        const id = setTimeout(() => {
+            colorTimeouts.delete(id);
+            const sphereColor = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
+            animateColorChange(sphere.material, sphereColor, 300);
+        }, index * 50);
+        colorTimeouts.add(id);
+    });
+}
+
+/**
+ * Current cube and sphere colors as hex numbers
+ */
+function getColors() {
+    return {
+        cube: cube ? cube.material.color.getHex() : null,
+        spheres: spheres.map(sphere => sphere.material.color.getHex())
+    };
+}
+
+/**
+ * Set cube and sphere colors at once, stopping any color change in progress
+ */
+function setColors(colors) {
+    colorTimeouts.forEach(id => clearTimeout(id));
+    colorTimeouts.clear();
+    colorFrames.forEach(frame => cancelAnimationFrame(frame));
+    colorFrames.clear();
+    
+    if (cube && colors.cube !== null) {
+        cube.material.color.setHex(colors.cube);
+    }
+    
+    spheres.forEach((sphere, index) => {
+        if (index < colors.spheres.length) {
+            sphere.material.color.setHex(colors.spheres[index]);
         }
+    });
+}
+
+/**
+ * Color animation helper function
+ */
+function animateColorChange(material, targetColor, duration) {
+    const startColor = material.color.clone();
+    const startTime = Date.now();
+    
+    function updateColor() {
+        const elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / duration, 1);
+        
+        // Smooth easing
+        const eased = 1 - Math.pow(1 - progress, 3);
+        
+        // Lerp between colors
+        material.color.lerpColors(startColor, targetColor, eased);
         
-        updateColor();
+        if (progress < 1) {
+            colorFrames.set(material, requestAnimationFrame(updateColor));
+        } else {
+            colorFrames.delete(material);
+        }
+    }
+    
+    // A new color change on the same material replaces the one in progress
+    if (colorFrames.has(material)) {
+        cancelAnimationFrame(colorFrames.get(material));
     }
+    updateColor();
+}
+
+/**
+ * setTimeout that destroyHeroAnimations() can cancel
+ */
+function heroTimeout(callback, delay) {
+    const id = setTimeout(() => {
+        heroResources.timeouts.delete(id);
+        callback();
+    }, delay);
+    heroResources.timeouts.add(id);
+    return id;
+}
+
+/**
+ * setInterval that destroyHeroAnimations() can cancel
+ */
+function heroInterval(callback, delay) {
+    const id = setInterval(callback, delay);
+    heroResources.intervals.add(id);
+    return id;
+}
+
+/**
+ * Stop every hero animation loop and reset the animated elements
+ */
+function destroyHeroAnimations() {
+    heroResources.timeouts.forEach(id => clearTimeout(id));
+    heroResources.timeouts.clear();
+    heroResources.intervals.forEach(id => clearInterval(id));
+    heroResources.intervals.clear();
+    heroResources.styles.forEach(style => style.remove());
+    heroResources.styles = [];
+    
+    document.querySelectorAll(HERO_ANIMATED_SELECTOR).forEach(element => {
+        element.style.transition = '';
+        element.style.transform = '';
+        element.style.opacity = '';
+        element.style.animation = '';
+        element.style.strokeDashoffset = '';
+    });
 }
 
 /**
@@ -491,7 +811,7 @@ function initHeroAnimations() {
     
     // Animate title lines with stagger
     titleLines.forEach((line, index) => {
-        setTimeout(() => {
+        heroTimeout(() => {
             line.style.transition = 'all 1s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
             line.style.transform = 'translateY(0)';
             line.style.opacity = '1';
@@ -503,7 +823,7 @@ function initHeroAnimations() {
     });
     
     // Animate subtitle
-    setTimeout(() => {
+    heroTimeout(() => {
         if (heroSubtitle) {
             heroSubtitle.style.transition = 'all 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
             heroSubtitle.style.transform = 'translateY(0)';
@@ -517,7 +837,7 @@ function initHeroAnimations() {
     
     // Animate feature tags
     featureTags.forEach((tag, index) => {
-        setTimeout(() => {
+        heroTimeout(() => {
             tag.style.transition = 'all 0.6s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
             tag.style.transform = 'translateY(0)';
             tag.style.opacity = '1';
@@ -563,7 +883,7 @@ function initParticleSystem() {
         const x = Math.cos(angle) * distance;
         const y = Math.sin(angle) * distance;
         
-        setTimeout(() => {
+        heroTimeout(() => {
             particle.style.transition = 'all 1.5s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
             particle.style.opacity = '1';
             particle.style.transform = `translate(${x}px, ${y}px) scale(1)`;
@@ -574,16 +894,16 @@ function initParticleSystem() {
         }, 500 + index * 50);
         
         // Continuous floating animation
-        setTimeout(() => {
+        heroTimeout(() => {
             const floatDuration = 3 + Math.random() * 2;
             const floatY = 20;
             const floatX = 10;
             
-            setInterval(() => {
+            heroInterval(() => {
                 particle.style.transition = `all ${floatDuration}s ease-in-out`;
                 particle.style.transform = `translate(${x + floatX}px, ${y + floatY}px) scale(1)`;
                 
-                setTimeout(() => {
+                heroTimeout(() => {
                     particle.style.transform = `translate(${x - floatX}px, ${y - floatY}px) scale(1)`;
                 }, floatDuration * 1000 / 2);
             }, floatDuration * 1000);
@@ -610,7 +930,7 @@ function initOrbitalAnimations() {
             element.style.opacity = '0';
             
             // Animate entrance
-            setTimeout(() => {
+            heroTimeout(() => {
                 element.style.transition = 'all 0.8s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
                 element.style.transform = `translate(${Math.cos(angle) * orbitRadius}px, ${Math.sin(angle) * orbitRadius}px) scale(1)`;
                 element.style.opacity = '1';
@@ -621,11 +941,11 @@ function initOrbitalAnimations() {
             }, 1000 + elementIndex * 100);
             
             // Continuous orbital motion
-            setTimeout(() => {
+            heroTimeout(() => {
                 const duration = 8 / speed;
                 let currentAngle = angle;
                 
-                setInterval(() => {
+                heroInterval(() => {
                     currentAngle += 0.02;
                     const newX = Math.cos(currentAngle) * orbitRadius;
                     const newY = Math.sin(currentAngle) * orbitRadius;
@@ -656,7 +976,7 @@ function initGeometricShapes() {
         let floatY = 0;
 
         // Entrance animation
-        setTimeout(() => {
+        heroTimeout(() => {
             shape.style.transition = 'all 0.8s cubic-bezier(0.68, -0.55, 0.265, 1.55)';
             shape.style.transform = 'scale(1) rotate(0deg) translateY(0px)';
             shape.style.opacity = '1';
@@ -681,9 +1001,10 @@ function initGeometricShapes() {
             }
         `;
         document.head.appendChild(style);
+        heroResources.styles.push(style);
         
         // Start animation after entrance
-        setTimeout(() => {
+        heroTimeout(() => {
             shape.style.animation = `${animationName} ${duration}s linear infinite`;
         }, 2500 + index * 200);
     });
@@ -703,7 +1024,7 @@ function initEnergyWaves() {
     
     waves.forEach((wave, index) => {
         // Animate entrance
-        setTimeout(() => {
+        heroTimeout(() => {
             wave.style.transition = 'all 1s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
             wave.style.transform = 'scale(1)';
             wave.style.opacity = '0.6';
@@ -714,13 +1035,13 @@ function initEnergyWaves() {
         }, 2000 + index * 300);
         
         // Continuous pulsing
-        setTimeout(() => {
-            setInterval(() => {
+        heroTimeout(() => {
+            heroInterval(() => {
                 wave.style.transition = 'all 2s ease-in-out';
                 wave.style.transform = 'scale(1.2)';
                 wave.style.opacity = '0.2';
                 
-                setTimeout(() => {
+                heroTimeout(() => {
                     wave.style.transform = 'scale(1)';
                     wave.style.opacity = '0.6';
                 }, 2000);
@@ -743,7 +1064,7 @@ function initConnectionLines() {
     
     lines.forEach((line, index) => {
         // Animate drawing
-        setTimeout(() => {
+        heroTimeout(() => {
             line.style.transition = 'all 2s cubic-bezier(0.25, 0.46, 0.45, 0.94)';
             line.style.strokeDashoffset = '0';
             line.style.opacity = '1';
@@ -754,12 +1075,12 @@ function initConnectionLines() {
         }, 2500 + index * 500);
         
         // Continuous flow effect
-        setTimeout(() => {
-            setInterval(() => {
+        heroTimeout(() => {
+            heroInterval(() => {
                 line.style.transition = 'all 4s linear';
                 line.style.strokeDashoffset = '-1000';
                 
-                setTimeout(() => {
+                heroTimeout(() => {
                     line.style.strokeDashoffset = '0';
                 }, 4000);
             }, 4500 + index * 500);
@@ -775,6 +1096,8 @@ function cleanup() {
         cancelAnimationFrame(animationId);
     }
     
+    destroyHeroAnimations();
+    
     if (renderer) {
         renderer.dispose();
     }
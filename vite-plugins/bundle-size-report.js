@@ -0,0 +1,91 @@
+import { gzipSync, brotliCompressSync } from 'zlib';
+
+// Libraries whose share of each entry is reported; first match wins
+const TRACKED_MODULES = [
+  { name: 'gsap/ScrollTrigger', pattern: /node_modules\/gsap\/(ScrollTrigger|Observer)\.js$/ },
+  { name: 'gsap', pattern: /node_modules\/gsap\// },
+  { name: 'three', pattern: /node_modules\/three\// }
+];
+
+/**
+ * Raw, gzip and brotli size of some output code in bytes
+ */
+function measure(code) {
+  const buffer = Buffer.from(code);
+
+  return {
+    raw: buffer.length,
+    gzip: gzipSync(buffer, { level: 9 }).length,
+    brotli: brotliCompressSync(buffer).length
+  };
+}
+
+/**
+ * Collect an entry chunk and every chunk it statically imports
+ */
+function collectChunks(chunk, bundle, seen = new Set()) {
+  if (seen.has(chunk.fileName)) return seen;
+  seen.add(chunk.fileName);
+
+  chunk.imports
+    .map(fileName => bundle[fileName])
+    .filter(imported => imported && imported.type === 'chunk')
+    .forEach(imported => collectChunks(imported, bundle, seen));
+
+  return seen;
+}
+
+/**
+ * Vite plugin that reports the shipped size of every entry point
+ * Emits a JSON asset alongside the build (default: bundle-size.json)
+ */
+export function bundleSizeReport({ fileName = 'bundle-size.json' } = {}) {
+  return {
+    name: 'bundle-size-report',
+    apply: 'build',
+
+    generateBundle(outputOptions, bundle) {
+      const entries = {};
+
+      Object.values(bundle)
+        .filter(chunk => chunk.type === 'chunk' && chunk.isEntry)
+        .forEach(entry => {
+          const chunks = Array.from(collectChunks(entry, bundle)).map(name => bundle[name]);
+          const sizes = chunks.map(chunk => measure(chunk.code));
+
+          // Module lengths are measured before minification, so shares are relative
+          const modules = chunks.flatMap(chunk => Object.entries(chunk.modules));
+          const renderedTotal = modules.reduce((sum, [, module]) => sum + module.renderedLength, 0);
+
+          const libraries = Object.fromEntries(TRACKED_MODULES.map(({ name }) => [name, { renderedLength: 0, share: 0 }]));
+          modules.forEach(([id, module]) => {
+            const tracked = TRACKED_MODULES.find(({ pattern }) => pattern.test(id.replace(/\\/g, '/')));
+            if (tracked) {
+              libraries[tracked.name].renderedLength += module.renderedLength;
+            }
+          });
+          Object.values(libraries).forEach(library => {
+            library.share = renderedTotal > 0 ? Math.round((library.renderedLength / renderedTotal) * 1000) / 1000 : 0;
+          });
+
+          entries[entry.name] = {
+            fileName: entry.fileName,
+            chunks: chunks.map(chunk => chunk.fileName),
+            entry: measure(entry.code),
+            total: {
+              raw: sizes.reduce((sum, size) => sum + size.raw, 0),
+              gzip: sizes.reduce((sum, size) => sum + size.gzip, 0),
+              brotli: sizes.reduce((sum, size) => sum + size.brotli, 0)
+            },
+            libraries: libraries
+          };
+        });
+
+      this.emitFile({
+        type: 'asset',
+        fileName: fileName,
+        source: JSON.stringify({ generatedAt: new Date().toISOString(), entries }, null, 2)
+      });
+    }
+  };
+}
@@ -1,9 +1,13 @@
 import { defineConfig } from 'vite'
 import { resolve } from 'path'
+import { bundleSizeReport } from './vite-plugins/bundle-size-report.js'
 
 export default defineConfig({
   root: '.',
   base: './', // Adding this - relative paths
+  plugins: [
+    bundleSizeReport() // Emits dist/bundle-size.json for analysis.html
+  ],
   build: {
     rollupOptions: {
       input: {